@@ -0,0 +1,136 @@
+// Calendar subscriptions
+// Each user can have one secret feed URL that calendar apps poll for their disposal
+// reminders. Only a hash of the token is stored, so a leaked database does not leak
+// feed URLs; rotating issues a new token and revoking deletes it, and either way the
+// old URL stops working immediately.
+import { createHash, randomBytes } from 'crypto';
+
+const PRODUCT_ID = '-//CleanSort//Disposal reminders//EN';
+
+// Calendar apps re-fetch at roughly this interval
+const REFRESH_INTERVAL = 'PT1H';
+
+// Completed reminders stay in the feed this long after they were due
+const COMPLETED_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+const EVENT_DURATION = 'PT30M';
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+// Create the calendar feed service on top of the store's calendarFeeds repository
+export function createCalendarFeeds(store) {
+  return {
+    // The user's feed without its token: { createdAt } or null
+    async status(userId) {
+      const [feed] = await store.calendarFeeds.listByUser(userId);
+      return feed ? { createdAt: feed.createdAt } : null;
+    },
+
+    // Issue a new token, revoking any previous one. Returns { token, createdAt }.
+    async rotate(userId) {
+      const token = randomBytes(24).toString('base64url');
+      const createdAt = new Date().toISOString();
+      const existing = await store.calendarFeeds.listByUser(userId);
+      await store.batchWrite([
+        ...existing.map(feed => ({ type: 'delete', collection: 'calendar_feeds', id: feed.id })),
+        { type: 'set', collection: 'calendar_feeds', id: hashToken(token), data: { userId, createdAt } }
+      ]);
+      return { token, createdAt };
+    },
+
+    // Delete the user's feed. Returns false if there was none.
+    async revoke(userId) {
+      const existing = await store.calendarFeeds.listByUser(userId);
+      await store.batchWrite(existing.map(feed => ({ type: 'delete', collection: 'calendar_feeds', id: feed.id })));
+      return existing.length > 0;
+    },
+
+    // The user id a feed token belongs to, or null
+    async resolve(token) {
+      if (!token) {
+        return null;
+      }
+      const feed = await store.calendarFeeds.get(hashToken(token));
+      return feed?.userId || null;
+    }
+  };
+}
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20240531T013000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const buildEvent = (reminder, { bins = {}, now }) => {
+  const done = reminder.status === 'completed';
+  const description = [
+    `Category: ${reminder.category}`,
+    bins[reminder.category] && `Bin: ${bins[reminder.category]}`,
+    done && reminder.completedAt && `Disposed: ${new Date(reminder.completedAt).toUTCString()}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${reminder.id}@cleansort`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `LAST-MODIFIED:${formatDateTime(reminder.updatedAt || reminder.createdAt || now)}`,
+    `DTSTART:${formatDateTime(reminder.dueDate)}`,
+    `DURATION:${EVENT_DURATION}`,
+    `SUMMARY:${escapeText(`${done ? '✓ ' : ''}Dispose of ${reminder.itemName || 'item'}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(reminder.category)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+};
+
+// Build an iCalendar document from a user's reminders.
+// options: { bins: { category: bin name } for the user's city, now }
+// Open reminders are always included; completed ones for COMPLETED_RETENTION_MS after
+// they were due. Deleted reminders are left out.
+export function buildReminderCalendar(reminders, { bins, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - COMPLETED_RETENTION_MS).toISOString();
+  const events = reminders
+    .filter(reminder => !reminder.deletedAt && reminder.dueDate)
+    .filter(reminder => reminder.status !== 'completed' || reminder.dueDate >= cutoff)
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .flatMap(reminder => buildEvent(reminder, { bins, now }));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:CleanSort reminders',
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
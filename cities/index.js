@@ -0,0 +1,93 @@
+// City waste rules
+// The built-in dataset lives in defaults.json; records saved through the admin API are
+// kept in the store and take precedence over the built-in record with the same id.
+// Adding or correcting a city is a data change in either place.
+import { readFileSync } from 'fs';
+import { WASTE_CATEGORIES } from '../schemas/item.js';
+
+export const DEFAULT_CITIES = JSON.parse(readFileSync(new URL('./defaults.json', import.meta.url), 'utf8'));
+
+const DAY_LABELS = { sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat' };
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
+// Create the city rules service on top of the store's cities repository
+export function createCityRules(store) {
+  const list = async () => {
+    const saved = await store.cities.list();
+    const byId = new Map(DEFAULT_CITIES.map(city => [city.id, { ...city, source: 'default' }]));
+    for (const city of saved) {
+      byId.set(city.id, { ...city, source: 'custom' });
+    }
+    return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const get = async (id) => {
+    const saved = await store.cities.get(normalizeKey(id));
+    if (saved) {
+      return { ...saved, source: 'custom' };
+    }
+    const city = DEFAULT_CITIES.find(candidate => candidate.id === normalizeKey(id));
+    return city ? { ...city, source: 'default' } : null;
+  };
+
+  return {
+    list,
+
+    // Find a city by id, name or alias (e.g. "Bombay" -> mumbai). Returns null if unknown.
+    // Ids are looked up directly; only names and aliases need the full list.
+    async resolve(nameOrId) {
+      const key = normalizeKey(nameOrId);
+      if (!key) {
+        return null;
+      }
+      const city = await get(key);
+      if (city) {
+        return city;
+      }
+      const cities = await list();
+      return cities.find(city => normalizeKey(city.name) === key || (city.aliases || []).includes(key)) || null;
+    },
+
+    async save(id, value) {
+      const city = { ...value, id, updatedAt: new Date().toISOString() };
+      await store.cities.set(id, city);
+      return { ...city, source: 'custom' };
+    }
+  };
+}
+
+const describeDays = (days) => {
+  if (days.length === 7) {
+    return 'daily';
+  }
+  return days.map(day => DAY_LABELS[day]).join(', ');
+};
+
+// Describe a city's rules for the extraction prompt. Without a known city the model
+// falls back to general guidelines.
+export function buildCityPromptContext(city) {
+  if (!city) {
+    return '\n\nGeneral disposal guidelines';
+  }
+
+  const lines = WASTE_CATEGORIES
+    .filter(category => city.categories?.[category])
+    .map(category => {
+      const rule = city.categories[category];
+      const bin = rule.bin ? `${rule.bin} bin` : 'no bin';
+      const collection = rule.collectionDays?.length > 0
+        ? `collected ${describeDays(rule.collectionDays)}`
+        : `not collected${rule.dropOff ? ` - ${rule.dropOff}` : ''}`;
+      return `- ${category}: ${bin}, ${collection}`;
+    });
+
+  let context = `\n\n${city.name} waste rules:\n${lines.join('\n')}`;
+  if (city.bannedItems?.length > 0) {
+    context += `\nNot accepted in municipal pickup: ${city.bannedItems.join('; ')}`;
+  }
+  if (city.notes) {
+    context += `\n${city.notes}`;
+  }
+  return context + '\nUse these rules when choosing each item\'s category and disposalInterval.';
+}
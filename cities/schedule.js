@@ -0,0 +1,106 @@
+// Collection-aware due dates
+// A reminder's base due date is "interval days from now". The due date users see is
+// that base snapped forward to the next day their city collects the item's category,
+// at the collection time in the user's timezone. Categories without doorstep
+// collection (or users without a known city) keep the base date at that local time.
+import { WEEKDAYS } from '../schemas/city.js';
+
+export const DEFAULT_COLLECTION_TIME = '07:00';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock fields of an instant in a timezone
+const localParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// Offset of the timezone from UTC at an instant, in ms
+const offsetAt = (timestamp, timeZone) => {
+  const parts = localParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// The instant at which the wall clock in timeZone shows the given local date and time
+const fromLocal = ({ year, month, day }, [hours, minutes], timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  let timestamp = wallClock - offsetAt(wallClock, timeZone);
+  // A second pass settles dates on the other side of a DST change
+  timestamp = wallClock - offsetAt(timestamp, timeZone);
+  return new Date(timestamp);
+};
+
+// Calendar date of an instant in a timezone, "YYYY-MM-DD"
+export function localDateKey(date, timezone) {
+  const { year, month, day } = localParts(new Date(date), timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Wall-clock time of an instant in a timezone, "HH:MM"
+export function localTimeOfDay(date, timezone) {
+  const { hour, minute } = localParts(new Date(date), timezone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Midnight at the start of a "YYYY-MM-DD" date in a timezone. Returns a Date.
+export function startOfLocalDate(dateKey, timezone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return fromLocal({ year, month, day }, [0, 0], timezone);
+}
+
+// Scheduling options for one category: { timezone, collectionDays, collectionTime }.
+// schedule: { timezone, city } where city is a city rules record or null.
+export function collectionScheduleFor(schedule, category) {
+  const city = schedule?.city;
+  return {
+    timezone: schedule?.timezone || city?.timezone || 'UTC',
+    collectionDays: city?.categories?.[category]?.collectionDays || [],
+    collectionTime: city?.collectionTime || DEFAULT_COLLECTION_TIME
+  };
+}
+
+// Snap a base due date to the collection calendar. Returns a Date.
+export function snapToCollection(baseDate, { timezone, collectionDays = [], collectionTime = DEFAULT_COLLECTION_TIME }) {
+  const local = localParts(new Date(baseDate), timezone);
+  let date = Date.UTC(local.year, local.month - 1, local.day);
+
+  if (collectionDays.length > 0) {
+    for (let step = 0; step < 7 && !collectionDays.includes(WEEKDAYS[new Date(date).getUTCDay()]); step++) {
+      date += DAY_MS;
+    }
+  }
+
+  const day = new Date(date);
+  const time = collectionTime.split(':').map(Number);
+  return fromLocal({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() }, time, timezone);
+}
+
+// Base due date (interval days after from) and the snapped due date, as ISO strings
+export function computeDueDate(from, days, options) {
+  const baseDueDate = new Date(new Date(from).getTime() + days * DAY_MS);
+  return {
+    baseDueDate: baseDueDate.toISOString(),
+    dueDate: snapToCollection(baseDueDate, options).toISOString()
+  };
+}
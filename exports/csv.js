@@ -0,0 +1,43 @@
+// CSV export of items and reminders for spreadsheets
+// Columns are fixed so exports from different days line up. User-entered text that a
+// spreadsheet would run as a formula (=, +, -, @) is prefixed with a quote.
+
+export const EXPORT_COLUMNS = {
+  items: [
+    'id', 'name', 'quantity', 'category', 'interval', 'confidence', 'price', 'currency',
+    'purchaseDate', 'receiptId', 'recurrenceEvery', 'createdAt', 'updatedAt'
+  ],
+  reminders: [
+    'id', 'itemId', 'itemName', 'category', 'status', 'dueDate', 'completedAt',
+    'snoozedUntil', 'occurrence', 'createdAt', 'updatedAt'
+  ]
+};
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Columns holding text typed by users or read off receipts
+const TEXT_COLUMNS = new Set(['name', 'quantity', 'itemName']);
+
+const formatCell = (value, column) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (TEXT_COLUMNS.has(column) && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flatten nested fields into export columns
+const toRow = (record) => ({ ...record, recurrenceEvery: record.recurrence?.every });
+
+// Build a CSV document (with header row) for 'items' or 'reminders'
+export function toCsv(type, records) {
+  const columns = EXPORT_COLUMNS[type];
+  const lines = [
+    columns.join(','),
+    ...records.map(toRow).map(row => columns.map(column => formatCell(row[column], column)).join(','))
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,65 @@
+// Receipt extraction cache
+// Re-uploading the same receipt (e.g. after a network hiccup) returns the stored result
+// instead of paying for another model call. Entries are keyed by a hash of the uploaded
+// content plus everything else that shapes the answer: city, provider, model and the
+// provider's prompt or rules version.
+import { createHash } from 'crypto';
+
+// Build the cache key for a request.
+// pages: uploaded files ({ mimetype, buffer }) in order.
+export function receiptCacheKey(pages, { city, provider, model, version }) {
+  const hash = createHash('sha256');
+  hash.update(JSON.stringify({
+    city: String(city || '').trim().toLowerCase(),
+    provider,
+    model,
+    version
+  }));
+  for (const page of pages) {
+    hash.update(`\n${page.mimetype}:${page.buffer.length}\n`);
+    hash.update(page.buffer);
+  }
+  return hash.digest('hex');
+}
+
+// Create the cache on top of the store's ocrCache repository.
+// options: { ttlMs, maxEntries }
+export function createReceiptCache(store, { ttlMs, maxEntries }) {
+  return {
+    // Returns { result, createdAt } or null when missing or expired
+    async get(key) {
+      const entry = await store.ocrCache.get(key);
+      if (!entry || entry.expiresAt <= new Date().toISOString()) {
+        return null;
+      }
+      return { result: entry.result, createdAt: entry.createdAt };
+    },
+
+    async put(key, result) {
+      const now = Date.now();
+      await store.ocrCache.set(key, {
+        result,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      });
+    },
+
+    // Drop expired entries, then the oldest ones beyond maxEntries. Only ids and
+    // timestamps are read, not the cached results.
+    // Returns the number of entries removed.
+    async prune() {
+      const expired = await store.ocrCache.listExpired(new Date().toISOString());
+      const remaining = await store.ocrCache.listNewestFirst();
+      const expiredIds = new Set(expired.map(entry => entry.id));
+      const overflow = remaining
+        .filter(entry => !expiredIds.has(entry.id))
+        .slice(maxEntries);
+
+      const writes = [...expired, ...overflow].map(entry => ({ type: 'delete', collection: 'ocr_cache', id: entry.id }));
+      if (writes.length > 0) {
+        await store.batchWrite(writes);
+      }
+      return writes.length;
+    }
+  };
+}
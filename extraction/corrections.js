@@ -0,0 +1,168 @@
+// Learned corrections
+// When a user saves a receipt item with a different category or interval than the one
+// extracted, the change is remembered as a rule for that item name and applied to the
+// user's future receipts. With global learning enabled, a correction also counts as a
+// vote towards a rule for everyone, which applies once enough users agree.
+import { createHash } from 'crypto';
+import { validateItem } from '../schemas/item.js';
+
+// "Amul Taaza Milk 500ml" and "amul taaza milk (500 ml)" share a rule
+export const correctionKey = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/\b\d+(?:[.,]\d+)?\s*(?:kg|g|gm|mg|l|ltr|ml|pcs?|packs?)\b/g, ' ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const ruleId = (key) => createHash('sha1').update(key).digest('hex').slice(0, 20);
+
+// The most common value among the votes, if at least minVotes agree
+const consensus = (votes, field, minVotes) => {
+  const counts = new Map();
+  for (const vote of votes) {
+    if (vote[field] !== undefined) {
+      counts.set(vote[field], (counts.get(vote[field]) || 0) + 1);
+    }
+  }
+  const [value, count] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+  return count >= minVotes ? value : undefined;
+};
+
+// Create the corrections service on top of the store's corrections repositories.
+// options: { globalMinUsers } - users that must agree before a global rule applies (0 disables)
+export function createCorrections(store, { globalMinUsers }) {
+  const globalRule = (doc) => {
+    const votes = Object.values(doc.votes || {});
+    const rule = {
+      id: doc.id,
+      name: doc.name,
+      category: consensus(votes, 'category', globalMinUsers),
+      interval: consensus(votes, 'interval', globalMinUsers),
+      users: votes.length
+    };
+    return rule.category !== undefined || rule.interval !== undefined ? rule : null;
+  };
+
+  return {
+    // Remember what changed between an extracted item and the item the user saved.
+    // extracted: { category, interval } as returned by /api/process-receipt.
+    // Returns the changes recorded, or null if the user kept the extracted values.
+    async record(userId, item, extracted) {
+      const key = correctionKey(item.name);
+      if (!key || !extracted || typeof extracted !== 'object') {
+        return null;
+      }
+      const { value: original } = validateItem(extracted, { partial: true });
+
+      const changes = {};
+      if (original.category !== undefined && original.category !== item.category) {
+        changes.category = item.category;
+      }
+      if (original.interval !== undefined && item.interval !== undefined && original.interval !== item.interval) {
+        changes.interval = item.interval;
+      }
+      if (Object.keys(changes).length === 0) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const id = `${userId}_${ruleId(key)}`;
+      const existing = await store.corrections.get(id);
+      await store.corrections.set(id, {
+        userId,
+        key,
+        name: item.name,
+        ...changes,
+        count: (existing?.count || 0) + 1,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      });
+
+      if (globalMinUsers > 0) {
+        await store.globalCorrections.set(ruleId(key), {
+          key,
+          name: item.name,
+          votes: { [userId]: changes },
+          updatedAt: now
+        });
+      }
+      return changes;
+    },
+
+    listForUser: (userId) => store.corrections.listByUser(userId),
+
+    // Delete one of the user's rules. Returns false if it does not exist or is not theirs.
+    async deleteForUser(userId, id) {
+      const rule = await store.corrections.get(id);
+      if (!rule || rule.userId !== userId) {
+        return false;
+      }
+      await store.corrections.delete(id);
+      return true;
+    },
+
+    // Global rules that currently apply (enough users agree)
+    async listGlobal() {
+      const docs = await store.globalCorrections.list();
+      return docs.map(globalRule).filter(Boolean);
+    },
+
+    async deleteGlobal(id) {
+      const doc = await store.globalCorrections.get(id);
+      if (!doc) {
+        return false;
+      }
+      await store.globalCorrections.delete(id);
+      return true;
+    },
+
+    // Apply learned rules to extracted items ({ name, category, interval, ... }).
+    // The user's own rules win over global ones. Corrected items carry
+    // autoCorrected: true, correctionSource and correctedFrom (the extracted values).
+    async apply(userId, items) {
+      const userRules = new Map();
+      if (userId) {
+        for (const rule of await store.corrections.listByUser(userId)) {
+          userRules.set(rule.key, rule);
+        }
+      }
+
+      const globalRules = new Map();
+      if (globalMinUsers > 0) {
+        const keys = [...new Set(items.map(item => correctionKey(item.name)))].filter(key => key && !userRules.has(key));
+        for (const key of keys) {
+          const doc = await store.globalCorrections.get(ruleId(key));
+          const rule = doc && globalRule(doc);
+          if (rule) {
+            globalRules.set(key, rule);
+          }
+        }
+      }
+
+      return items.map(item => {
+        const key = correctionKey(item.name);
+        const rule = userRules.get(key) || globalRules.get(key);
+        if (!rule) {
+          return item;
+        }
+
+        const corrected = { ...item };
+        const correctedFrom = {};
+        for (const field of ['category', 'interval']) {
+          if (rule[field] !== undefined && rule[field] !== item[field]) {
+            correctedFrom[field] = item[field];
+            corrected[field] = rule[field];
+          }
+        }
+        if (Object.keys(correctedFrom).length === 0) {
+          return item;
+        }
+        return {
+          ...corrected,
+          autoCorrected: true,
+          correctionSource: userRules.has(key) ? 'user' : 'global',
+          correctedFrom
+        };
+      });
+    }
+  };
+}
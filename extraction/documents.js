@@ -0,0 +1,263 @@
+// Receipt documents
+// Turns an uploaded receipt (photo, PDF, plain text, HTML or a raw .eml e-mail) into
+// content parts for the extraction model. Photos and PDFs are sent as inline data;
+// text, HTML and e-mail bodies are reduced to plain text.
+
+// Longest text sent to the model for a single document
+const MAX_TEXT_LENGTH = 50000;
+
+const EXTENSION_KINDS = {
+  '.pdf': 'pdf',
+  '.txt': 'text',
+  '.text': 'text',
+  '.html': 'html',
+  '.htm': 'html',
+  '.eml': 'email'
+};
+
+// Raised when an upload is not a receipt we can read
+export class DocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentError';
+  }
+}
+
+const extensionOf = (filename) => {
+  const match = /\.[^./\\]+$/.exec(String(filename || '').toLowerCase());
+  return match ? match[0] : '';
+};
+
+// Work out what kind of document a file is from its MIME type, falling back to the
+// file extension (browsers often send .eml files as application/octet-stream)
+export function documentKind(file) {
+  const mimetype = String(file.mimetype || '').toLowerCase();
+  if (mimetype.startsWith('image/')) {
+    return 'image';
+  }
+  if (mimetype === 'application/pdf') {
+    return 'pdf';
+  }
+  if (mimetype === 'message/rfc822') {
+    return 'email';
+  }
+  if (mimetype === 'text/html' || mimetype === 'application/xhtml+xml') {
+    return 'html';
+  }
+  if (mimetype === 'text/plain') {
+    return extensionOf(file.originalname) === '.eml' ? 'email' : 'text';
+  }
+  return EXTENSION_KINDS[extensionOf(file.originalname)] || null;
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  rupee: '₹', euro: '€', pound: '£', yen: '¥', cent: '¢', times: '×', middot: '·', ndash: '–', mdash: '—'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const tidyText = (text) => text
+  .split('\n')
+  .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+  .filter(Boolean)
+  .join('\n')
+  .slice(0, MAX_TEXT_LENGTH);
+
+// Reduce an HTML receipt to readable text, keeping table rows on one line each
+export function htmlToText(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|script|style|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<\/(td|th)\s*>/gi, ' | ')
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table|section|article|header|footer)\s*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  return tidyText(decodeEntities(text).replace(/(\s*\|\s*)+\n/g, '\n'));
+}
+
+// --- E-mail (RFC 822 / MIME) ---
+
+// Split a raw message into its header block and body
+const splitMessage = (raw) => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  return match
+    ? { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+    : { head: raw, body: '' };
+};
+
+const parseHeaders = (head) => {
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+  return headers;
+};
+
+// "text/html; charset=utf-8" -> { value: 'text/html', params: { charset: 'utf-8' } }
+const parseHeaderValue = (header = '') => {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.slice(0, eq).trim().toLowerCase()] = param.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+    }
+  }
+  return { value: value.trim().toLowerCase(), params };
+};
+
+const decodeQuotedPrintable = (text) => Buffer.from(
+  text.replace(/=\r?\n/g, '').replace(/=([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+  'latin1'
+);
+
+const decodeTransfer = (body, encoding = '') => {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+};
+
+const decodeCharset = (buffer, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+};
+
+// Decode =?utf-8?B?...?= / =?utf-8?Q?...?= words in headers such as Subject
+const decodeHeaderWords = (value = '') => value.replace(
+  /=\?([^?]+)\?([bq])\?([^?]*)\?=/gi,
+  (_, charset, encoding, text) => decodeCharset(
+    encoding.toLowerCase() === 'b'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' ')),
+    charset
+  )
+);
+
+// Walk the MIME tree and collect the leaf parts as { type, filename, buffer, charset }
+const collectParts = (raw, depth = 0) => {
+  const { head, body } = splitMessage(raw);
+  const headers = parseHeaders(head);
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+    const delimiter = `--${contentType.params.boundary}`;
+    return body
+      .split(delimiter)
+      .slice(1)
+      .filter(section => !section.startsWith('--'))
+      .flatMap(section => collectParts(section.replace(/^\r?\n/, ''), depth + 1));
+  }
+  if (contentType.value === 'message/rfc822' && depth < 10) {
+    return collectParts(body, depth + 1);
+  }
+
+  const disposition = parseHeaderValue(headers['content-disposition']);
+  return [{
+    type: contentType.value,
+    charset: contentType.params.charset,
+    filename: decodeHeaderWords(disposition.params.filename || contentType.params.name || ''),
+    buffer: decodeTransfer(body, headers['content-transfer-encoding'])
+  }];
+};
+
+// Parse a raw e-mail into { subject, from, date, text, attachments } where text is the
+// readable body (HTML preferred, since order e-mails usually put the table there)
+export function parseEmail(buffer) {
+  const raw = buffer.toString('latin1');
+  const headers = parseHeaders(splitMessage(raw).head);
+  const parts = collectParts(raw);
+
+  const html = parts.find(part => part.type === 'text/html' && !part.filename);
+  const plain = parts.find(part => part.type === 'text/plain' && !part.filename);
+  let text = '';
+  if (html) {
+    text = htmlToText(decodeCharset(html.buffer, html.charset));
+  } else if (plain) {
+    text = tidyText(decodeCharset(plain.buffer, plain.charset));
+  }
+
+  const attachments = parts
+    .filter(part => part.type === 'application/pdf' || part.type.startsWith('image/'))
+    .filter(part => part.filename || part.type === 'application/pdf')
+    .map(part => ({ filename: part.filename, mimetype: part.type, buffer: part.buffer }));
+
+  return {
+    subject: decodeHeaderWords(headers.subject),
+    from: decodeHeaderWords(headers.from),
+    date: headers.date,
+    text,
+    attachments
+  };
+}
+
+const inlinePart = (buffer, mimeType) => ({
+  inlineData: { data: buffer.toString('base64'), mimeType }
+});
+
+// Convert an uploaded file into { kind, parts } for the extraction model.
+// Throws DocumentError when the file type is unsupported or has nothing to read.
+export function readReceiptDocument(file) {
+  const kind = documentKind(file);
+
+  switch (kind) {
+    case 'image':
+      return { kind, parts: [inlinePart(file.buffer, file.mimetype)] };
+
+    case 'pdf':
+      if (!file.buffer.subarray(0, 1024).toString('latin1').includes('%PDF')) {
+        throw new DocumentError(`${file.originalname || 'File'} is not a valid PDF`);
+      }
+      return { kind, parts: [inlinePart(file.buffer, 'application/pdf')] };
+
+    case 'text':
+    case 'html': {
+      const raw = decodeCharset(file.buffer);
+      const text = kind === 'html' ? htmlToText(raw) : tidyText(raw);
+      if (!text) {
+        throw new DocumentError(`${file.originalname || 'Receipt'} is empty`);
+      }
+      return { kind, parts: [`Receipt text:\n${text}`] };
+    }
+
+    case 'email': {
+      const email = parseEmail(file.buffer);
+      const parts = [];
+      if (email.text) {
+        const header = [
+          email.subject && `Subject: ${email.subject}`,
+          email.from && `From: ${email.from}`,
+          email.date && `Date: ${email.date}`
+        ].filter(Boolean).join('\n');
+        parts.push(`Receipt e-mail:\n${header}\n\n${email.text}`);
+      }
+      parts.push(...email.attachments.map(attachment => inlinePart(attachment.buffer, attachment.mimetype)));
+      if (parts.length === 0) {
+        throw new DocumentError(`${file.originalname || 'E-mail'} has no readable receipt content`);
+      }
+      return { kind, parts };
+    }
+
+    default:
+      throw new DocumentError(
+        `Unsupported file type ${file.mimetype || 'unknown'}. Upload an image, PDF, text, HTML or .eml receipt.`
+      );
+  }
+}
@@ -0,0 +1,10 @@
+// Errors shared by the extraction providers
+
+// Raised when no usable items could be extracted from a receipt
+export class ExtractionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.details = details;
+  }
+}
@@ -0,0 +1,110 @@
+// Gemini receipt extraction
+// Asks Gemini for schema-constrained JSON and, when the output still comes back
+// malformed, retries with a repair prompt. Transient API errors are retried with backoff.
+import { SchemaType } from '@google/generative-ai';
+import { WASTE_CATEGORIES } from '../schemas/item.js';
+import { parseItemsResponse } from './parse.js';
+import { ExtractionError } from './errors.js';
+
+export const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+const MAX_ATTEMPTS = Number(process.env.GEMINI_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// HTTP statuses from the Gemini API worth retrying
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+export const RECEIPT_ITEMS_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    merchant: { type: SchemaType.STRING, nullable: true },
+    // Date printed on the receipt, YYYY-MM-DD
+    purchaseDate: { type: SchemaType.STRING, nullable: true },
+    // ISO 4217 code, e.g. INR
+    currency: { type: SchemaType.STRING, nullable: true },
+    items: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          name: { type: SchemaType.STRING },
+          quantity: { type: SchemaType.STRING },
+          category: { type: SchemaType.STRING, format: 'enum', enum: WASTE_CATEGORIES },
+          disposalInterval: { type: SchemaType.INTEGER },
+          confidence: { type: SchemaType.NUMBER },
+          // Line total in the receipt's currency
+          price: { type: SchemaType.NUMBER, nullable: true },
+          // Index of the image (receipt page) the item was read from
+          page: { type: SchemaType.INTEGER }
+        },
+        required: ['name', 'category', 'disposalInterval']
+      }
+    }
+  },
+  required: ['items']
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isTransientError = (error) => TRANSIENT_STATUSES.includes(error.status)
+  || /\b(429|500|502|503|504)\b|overloaded|unavailable|deadline/i.test(error.message || '');
+
+const buildRepairPrompt = (previousOutput) => `Your previous answer was not valid JSON for the requested format.
+Return ONLY a JSON object with merchant, purchaseDate (YYYY-MM-DD), currency (ISO code) and items: an array of receipt items, each with: name, quantity, category (${WASTE_CATEGORIES.join('/')}), disposalInterval (integer days), confidence (0.0-1.0), price (line total), page (index of the image it appears on).
+Fix this output, keeping every item it contains:
+${String(previousOutput).slice(0, 8000)}`;
+
+// Extract raw receipt items with Gemini.
+// parts: the content parts for the request (prompt text plus image data).
+// Returns { items, receipt, attempts, repaired, complete }.
+export async function extractWithGemini(genAI, parts) {
+  const model = genAI.getGenerativeModel({
+    model: GEMINI_MODEL,
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: RECEIPT_ITEMS_SCHEMA
+    }
+  });
+
+  let best = null;
+  let lastError = null;
+  let request = parts;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let responseText;
+    try {
+      const result = await model.generateContent(request);
+      responseText = result.response.text();
+    } catch (error) {
+      lastError = error;
+      if (!isTransientError(error) || attempt === MAX_ATTEMPTS) {
+        break;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.log(`  ⚠️  Gemini request failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    const parsed = parseItemsResponse(responseText);
+    console.log(`  - Attempt ${attempt}: ${parsed.complete ? 'valid JSON' : 'malformed JSON'}, ${parsed.items.length} item(s)`);
+
+    if (!best || parsed.items.length > best.items.length || (parsed.complete && !best.complete)) {
+      best = { ...parsed, attempts: attempt, repaired: request !== parts };
+    }
+    if (parsed.complete) {
+      break;
+    }
+
+    // Ask the model to repair its own output on the next attempt
+    request = [...parts, buildRepairPrompt(responseText)];
+  }
+
+  if (best && (best.complete || best.items.length > 0)) {
+    return best;
+  }
+
+  throw new ExtractionError('Could not extract items from the receipt', {
+    cause: lastError?.message || 'Model output could not be parsed'
+  });
+}
@@ -0,0 +1,52 @@
+// Merging items extracted from multi-page receipts.
+// A line cut between two photos can be reported once per page; those duplicates are
+// folded into a single item that remembers every page it came from.
+
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const normalizeQuantity = (quantity) => String(quantity || '').toLowerCase().replace(/\s+/g, '');
+
+// Two items are the same line when their names match and their quantities don't
+// disagree (a cut line may lose its quantity on one side)
+const isSameLine = (a, b) => normalizeName(a.name) === normalizeName(b.name)
+  && (!a.quantity || !b.quantity || normalizeQuantity(a.quantity) === normalizeQuantity(b.quantity));
+
+// Merge items from consecutive pages.
+// items: [{ ...item, page }] in extraction order. Only items on adjacent pages are
+// merged; repeats on the same page are real repeat purchases and are kept.
+// Returns the items with sourcePages: [page, ...] instead of page.
+export function mergePageItems(items) {
+  const merged = [];
+
+  for (const { page, ...item } of items) {
+    const duplicate = merged.find(existing => {
+      const lastPage = existing.sourcePages[existing.sourcePages.length - 1];
+      return Math.abs(page - lastPage) === 1 && isSameLine(existing, item);
+    });
+
+    if (duplicate) {
+      if (!duplicate.sourcePages.includes(page)) {
+        duplicate.sourcePages.push(page);
+        duplicate.sourcePages.sort((a, b) => a - b);
+      }
+      // Only fields one of the pages has are set; Firestore rejects undefined values
+      if (!duplicate.quantity && item.quantity) {
+        duplicate.quantity = item.quantity;
+      }
+      if (duplicate.price === undefined && item.price !== undefined) {
+        duplicate.price = item.price;
+      }
+      if (item.confidence !== undefined) {
+        duplicate.confidence = Math.max(duplicate.confidence ?? 0, item.confidence);
+      }
+      continue;
+    }
+
+    merged.push({ ...item, sourcePages: [page] });
+  }
+
+  return merged;
+}
@@ -0,0 +1,116 @@
+// Lenient parsing of model output into raw receipt items and receipt details.
+// Models occasionally wrap JSON in code fences, add prose, or stop mid-array; this
+// recovers every complete item object it can find instead of failing outright.
+
+// Receipt-level fields that may accompany the items
+const RECEIPT_FIELDS = ['merchant', 'purchaseDate', 'currency'];
+
+const stripCodeFence = (text) => text
+  .replace(/^```(?:json)?\s*/i, '')
+  .replace(/\s*```\s*$/, '');
+
+// Accept either a bare array or an object wrapping it, e.g. { "items": [...] }
+const toItemList = (parsed) => {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (parsed && typeof parsed === 'object' && Array.isArray(parsed.items)) {
+    return parsed.items;
+  }
+  return null;
+};
+
+const pickReceiptFields = (source) => {
+  const receipt = {};
+  for (const field of RECEIPT_FIELDS) {
+    if (typeof source?.[field] === 'string' && source[field].trim()) {
+      receipt[field] = source[field].trim();
+    }
+  }
+  return receipt;
+};
+
+// Recover "merchant": "..." style fields from text that is not valid JSON
+const scanReceiptFields = (text) => {
+  const receipt = {};
+  for (const field of RECEIPT_FIELDS) {
+    const match = new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`).exec(text);
+    if (match) {
+      try {
+        receipt[field] = JSON.parse(`"${match[1]}"`).trim();
+      } catch {
+        // Ignore fields with broken escapes
+      }
+    }
+  }
+  return receipt;
+};
+
+// Find each top-level {...} object inside the first array of the text, tracking
+// strings so braces inside item names don't confuse the scan
+const scanObjects = (text) => {
+  const start = text.indexOf('[');
+  const objects = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start === -1 ? 0 : start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) {
+        objectStart = i;
+      }
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        objects.push(text.slice(objectStart, i + 1));
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+  return objects;
+};
+
+// Parse a model response.
+// Returns { items, receipt, complete } where receipt holds any of merchant, purchaseDate
+// and currency, and complete is false when the response was not valid JSON and items
+// holds whatever objects could be recovered from it.
+export function parseItemsResponse(responseText) {
+  const text = stripCodeFence(String(responseText || '').trim());
+
+  try {
+    const parsed = JSON.parse(text);
+    const items = toItemList(parsed);
+    if (items) {
+      return { items, receipt: pickReceiptFields(parsed), complete: true };
+    }
+  } catch {
+    // Fall through to salvage individual objects
+  }
+
+  const items = [];
+  for (const objectText of scanObjects(text)) {
+    try {
+      items.push(JSON.parse(objectText));
+    } catch {
+      // Skip objects that are themselves malformed
+    }
+  }
+  return { items, receipt: scanReceiptFields(text), complete: false };
+}
@@ -0,0 +1,34 @@
+// Gemini extraction provider
+// Builds the receipt prompt and sends every page to Gemini in one request.
+import { GEMINI_MODEL, extractWithGemini } from '../gemini.js';
+
+// Bump when the prompt changes so older cached results are not reused
+const PROMPT_VERSION = 3;
+
+const BASE_PROMPT = `Extract the merchant, purchase date, currency and items from this receipt. Return a JSON object with: merchant (store or app name), purchaseDate (YYYY-MM-DD as printed, null if absent), currency (ISO code such as INR), items: array with name, quantity, category (dry/wet/recyclable/hazardous/medical/e-waste), disposalInterval (1-30 days), confidence (0.0-1.0), price (line total as a number, null if absent).
+
+Example: {"merchant":"BigBasket","purchaseDate":"2024-05-31","currency":"INR","items":[{"name":"Milk","quantity":"1L","category":"recyclable","disposalInterval":3,"confidence":0.95,"price":54,"page":0}]}`;
+
+const buildPrompt = (pageCount, cityContext) => {
+  const pagesPrompt = pageCount > 1
+    ? `\n\nThe ${pageCount} pages that follow are consecutive pages of ONE receipt, in order (page 0 first). Set "page" to the index of the page each item appears on. If a line is cut between two pages, list it only once.`
+    : '\n\nSet "page" to 0 for every item.';
+  return BASE_PROMPT + pagesPrompt + (cityContext || '');
+};
+
+export function createGeminiProvider({ genAI }) {
+  return {
+    name: 'gemini',
+    model: GEMINI_MODEL,
+    version: PROMPT_VERSION,
+    available: () => Boolean(genAI),
+
+    async extract({ documents, cityContext }) {
+      // Label each page's parts when there are several, keeping upload order
+      const documentParts = documents.flatMap((document, index) => (
+        documents.length > 1 ? [`Page ${index}:`, ...document.parts] : document.parts
+      ));
+      return extractWithGemini(genAI, [buildPrompt(documents.length, cityContext), ...documentParts]);
+    }
+  };
+}
@@ -0,0 +1,29 @@
+// Extraction providers
+// Every provider turns receipt documents into raw items and exposes:
+//   name, model, version    - reported with each result and part of the cache key
+//   available()             - false when the provider is not configured
+//   extract({ documents, cityContext }) -> { items, receipt, complete, attempts, repaired }
+// where items are { name, quantity, category, disposalInterval, confidence, price, page }
+// and receipt holds whichever of { merchant, purchaseDate, currency } were found.
+// Select with EXTRACTION_PROVIDER:
+//   - gemini: Google Gemini (default)
+//   - local:  deterministic keyword rules and fixtures, no network
+import { createGeminiProvider } from './gemini.js';
+import { createLocalProvider } from './local.js';
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  local: createLocalProvider
+};
+
+export const EXTRACTION_PROVIDERS = Object.keys(PROVIDERS);
+
+// Create the configured provider.
+// config: { provider: name, genAI: GoogleGenerativeAI instance, fixturesDir: path }
+export function createExtractionProvider({ provider, ...config } = {}) {
+  const name = provider || 'gemini';
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown EXTRACTION_PROVIDER: ${name} (expected ${EXTRACTION_PROVIDERS.map(p => `"${p}"`).join(' or ')})`);
+  }
+  return PROVIDERS[name](config);
+}
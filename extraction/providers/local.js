@@ -0,0 +1,200 @@
+// Local extraction provider
+// Deterministic and offline, for end-to-end tests and demos:
+//   - text, HTML and e-mail receipts are read line by line and categorised with keyword rules
+//   - photos and PDFs are looked up in a fixtures directory by content hash
+//     (<fixturesDir>/<sha256 of the file>.json containing { "items": [...] } and
+//     optionally merchant, purchaseDate and currency)
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { ExtractionError } from '../errors.js';
+
+const DEFAULT_FIXTURES_DIR = './fixtures/receipts';
+
+// Bump when the rules change so older cached results are not reused
+const RULES_VERSION = 2;
+
+// First matching rule wins, so more specific keywords come first
+const CATEGORY_RULES = [
+  { category: 'e-waste', interval: 30, keywords: ['charger', 'cable', 'earphone', 'headphone', 'adapter', 'power bank', 'mouse', 'keyboard', 'led bulb'] },
+  { category: 'hazardous', interval: 30, keywords: ['battery', 'batteries', 'bleach', 'phenyl', 'toilet cleaner', 'insecticide', 'mosquito', 'paint', 'thinner', 'acid'] },
+  { category: 'medical', interval: 14, keywords: ['tablet', 'capsule', 'syrup', 'bandage', 'mask', 'sanitizer', 'medicine', 'ointment', 'diaper', 'sanitary'] },
+  { category: 'recyclable', interval: 7, keywords: ['milk', 'juice', 'water', 'soda', 'cola', 'bottle', 'can', 'carton', 'oil', 'shampoo', 'detergent', 'newspaper'] },
+  { category: 'wet', interval: 1, keywords: ['banana', 'apple', 'mango', 'tomato', 'onion', 'potato', 'spinach', 'coriander', 'vegetable', 'fruit', 'egg', 'chicken', 'fish', 'mutton', 'paneer', 'curd', 'bread', 'cake'] },
+  { category: 'dry', interval: 7, keywords: ['rice', 'dal', 'atta', 'flour', 'sugar', 'salt', 'biscuit', 'chips', 'pasta', 'noodles', 'cereal', 'tea', 'coffee', 'soap', 'tissue'] }
+];
+
+// Lines that are part of the receipt but not items
+const SKIP_PATTERN = /\b(sub\s*total|total|tax|gst|cgst|sgst|vat|discount|savings?|delivery|handling|fee|tip|payment|paid|change|cash|card|upi|order|invoice|bill|receipt|thank|balance|amount|regular price)\b/i;
+const HEADER_PATTERN = /^(subject|from|date):/i;
+const PRICE_PATTERN = /(?:[₹$€£]|\brs\.?|\binr)\s*\d+(?:[.,]\d+)?|\b\d+[.,]\d{2}\b/gi;
+// "2 x 500g", "1.2 kg", "qty 2", "2 @ ₹40"
+const QUANTITY_PATTERN = /\b\d+\s*[x×]\s*\d+(?:[.,]\d+)?\s*(?:kg|g|gm|mg|l|ltr|ml)\b|\b\d+(?:[.,]\d+)?\s*(?:kg|g|gm|mg|l|ltr|ml|pcs?|packs?|dozen)\b|\bqty\.?\s*:?\s*\d+|\b\d+\s*@/i;
+
+const toQuantity = (match) => (/^qty|@$/i.test(match) ? match.replace(/\D+/g, '') : match.trim());
+
+const CURRENCY_SYMBOLS = [
+  [/₹|\brs\.?|\binr\b/i, 'INR'],
+  [/\$|\busd\b/i, 'USD'],
+  [/€|\beur\b/i, 'EUR'],
+  [/£|\bgbp\b/i, 'GBP']
+];
+
+const currencyOf = (text) => CURRENCY_SYMBOLS.find(([pattern]) => pattern.test(text))?.[1];
+
+// The last price on a line is the line total: "2 @ ₹20 ₹40" -> 40
+const priceOf = (line) => {
+  const prices = line.match(PRICE_PATTERN) || [];
+  PRICE_PATTERN.lastIndex = 0;
+  if (prices.length === 0) {
+    return undefined;
+  }
+  const price = Number(prices[prices.length - 1].replace(/[^\d.,]/g, '').replace(',', '.'));
+  return isNaN(price) ? undefined : price;
+};
+
+// "2024-05-31", "31/05/2024", "31-05-2024" (day first, as on Indian receipts) or an
+// e-mail Date header. Returns YYYY-MM-DD or undefined.
+const dateOf = (text) => {
+  let match = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(text);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  match = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/.exec(text);
+  if (match && Number(match[1]) <= 31 && Number(match[2]) <= 12) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  const date = new Date(text);
+  return /\d{4}/.test(text) && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : undefined;
+};
+
+// Merchant, purchase date and currency from the lines of a text receipt or e-mail
+const readReceiptDetails = (lines) => {
+  const receipt = {};
+  for (const line of lines) {
+    const header = /^(subject|from|date):\s*(.*)$/i.exec(line);
+    if (header?.[1].toLowerCase() === 'from') {
+      receipt.merchant ??= header[2].replace(/<[^>]*>/, '').replace(/"/g, '').trim() || undefined;
+    } else if (header?.[1].toLowerCase() === 'date') {
+      receipt.purchaseDate ??= dateOf(header[2]);
+    } else if (!header) {
+      receipt.purchaseDate ??= dateOf(line);
+      receipt.currency ??= currencyOf(line);
+    }
+  }
+  // Text receipts usually open with the store name
+  const firstLine = lines.find(line => !/^(subject|from|date):/i.test(line));
+  if (!receipt.merchant && firstLine && !PRICE_PATTERN.test(firstLine) && !dateOf(firstLine)) {
+    receipt.merchant = firstLine.replace(/\b(order|invoice|bill|receipt)\b.*$/i, '').trim() || undefined;
+  }
+  PRICE_PATTERN.lastIndex = 0;
+  return Object.fromEntries(Object.entries(receipt).filter(([, value]) => value !== undefined));
+};
+
+const matchRule = (name) => {
+  const lower = name.toLowerCase();
+  return CATEGORY_RULES.find(rule => rule.keywords.some(keyword => new RegExp(`\\b${keyword}(e?s)?\\b`).test(lower)));
+};
+
+// Read one receipt line. Returns a raw item or null for lines that are not items.
+const parseLine = (line, page) => {
+  if (HEADER_PATTERN.test(line) || SKIP_PATTERN.test(line)) {
+    return null;
+  }
+  const price = priceOf(line);
+  const hasPrice = price !== undefined;
+  const quantityMatch = QUANTITY_PATTERN.exec(line);
+
+  let name = line.replace(PRICE_PATTERN, ' ');
+  if (quantityMatch) {
+    name = name.replace(quantityMatch[0], ' ');
+  }
+  name = name
+    .replace(/^\s*\d{5,}\s+/, '') // product codes
+    .replace(/[|:*]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if ((name.match(/\p{L}/gu) || []).length < 2) {
+    return null;
+  }
+
+  const rule = matchRule(name);
+  if (!rule && !hasPrice && !quantityMatch) {
+    return null;
+  }
+  return {
+    name,
+    quantity: quantityMatch ? toQuantity(quantityMatch[0]) : '1',
+    category: rule ? rule.category : 'dry',
+    disposalInterval: rule ? rule.interval : 7,
+    confidence: rule ? 0.8 : 0.4,
+    ...(hasPrice && { price }),
+    page
+  };
+};
+
+// Text parts start with a label line ("Receipt text:") and e-mails with their headers
+const textLines = (text) => text
+  .split('\n')
+  .slice(1)
+  .map(line => line.trim())
+  .filter(Boolean);
+
+export function createLocalProvider({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  const loadFixture = async (buffer) => {
+    const hash = createHash('sha256').update(buffer).digest('hex');
+    try {
+      const fixture = JSON.parse(await readFile(path.join(fixturesDir, `${hash}.json`), 'utf8'));
+      if (Array.isArray(fixture)) {
+        return { hash, items: fixture, receipt: {} };
+      }
+      const { merchant, purchaseDate, currency } = fixture;
+      return { hash, items: fixture.items || [], receipt: { merchant, purchaseDate, currency } };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { hash, items: null };
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+    model: `rules-v${RULES_VERSION}`,
+    version: RULES_VERSION,
+    available: () => true,
+
+    async extract({ documents }) {
+      const items = [];
+      const missingFixtures = [];
+      let receipt = {};
+
+      for (const [page, document] of documents.entries()) {
+        for (const part of document.parts) {
+          if (typeof part === 'string') {
+            const lines = textLines(part);
+            receipt = { ...readReceiptDetails(lines), ...receipt };
+            items.push(...lines.map(line => parseLine(line, page)).filter(Boolean));
+            continue;
+          }
+          const fixture = await loadFixture(Buffer.from(part.inlineData.data, 'base64'));
+          if (fixture.items) {
+            receipt = { ...fixture.receipt, ...receipt };
+            items.push(...fixture.items.map(item => ({ ...item, page })));
+          } else {
+            missingFixtures.push(fixture.hash);
+          }
+        }
+      }
+
+      if (items.length === 0) {
+        throw new ExtractionError('No items recognised by the local provider', {
+          cause: missingFixtures.length > 0
+            ? `No fixture in ${fixturesDir} for ${missingFixtures.join(', ')}`
+            : 'No receipt lines matched the local rules'
+        });
+      }
+      return { items, receipt, complete: missingFixtures.length === 0, attempts: 1, repaired: false };
+    }
+  };
+}
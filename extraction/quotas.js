@@ -0,0 +1,142 @@
+// Receipt scan limits
+// Every scan request counts against a per-minute rate limit and reserves one scan of a
+// daily quota, both kept per user when signed in and per client IP for anonymous scans
+// (which are off unless an anonymous allowance is configured). Signed-in users are never
+// limited by IP, so users sharing an address (or a proxy) do not throttle each other.
+// Both happen in one transaction, so concurrent uploads cannot overrun the quota; the
+// reservation is refunded unless the scan is extracted successfully.
+// Counters live in the store so every server instance enforces the same limits. IPs are
+// stored hashed.
+// Windows are fixed: the minute on the clock and the UTC day.
+import { createHash } from 'crypto';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counters untouched this long are deleted by prune()
+const USAGE_RETENTION_MS = 2 * DAY_MS;
+
+const userKey = (userId) => `user:${userId}`;
+const ipKey = (ip) => `ip:${createHash('sha256').update(String(ip)).digest('hex').slice(0, 32)}`;
+
+const windowsAt = (now) => {
+  const minuteStart = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+  const dayStart = Math.floor(now.getTime() / DAY_MS) * DAY_MS;
+  return {
+    minute: new Date(minuteStart).toISOString(),
+    minuteEnds: new Date(minuteStart + MINUTE_MS),
+    day: new Date(dayStart).toISOString().slice(0, 10),
+    dayEnds: new Date(dayStart + DAY_MS)
+  };
+};
+
+// A usage document's counts for the current windows (zero once a window has passed)
+const currentCounts = (usage, windows) => ({
+  minuteCount: usage?.minute === windows.minute ? usage.minuteCount : 0,
+  dayCount: usage?.day === windows.day ? usage.dayCount : 0
+});
+
+// The usage document to store for the given counts
+const usageDoc = (windows, { minuteCount, dayCount }, now) => ({
+  minute: windows.minute,
+  minuteCount,
+  day: windows.day,
+  dayCount,
+  updatedAt: now.toISOString()
+});
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date - now) / 1000));
+
+// Create the limiter on top of the store's scanUsage repository.
+// options: { userPerMinute, ipPerMinute, userDailyLimit, anonymousDailyLimit }
+export function createScanQuotas(store, { userPerMinute, ipPerMinute, userDailyLimit, anonymousDailyLimit }) {
+  const dailyLimitFor = (userId) => (userId ? userDailyLimit : anonymousDailyLimit);
+  const perMinuteFor = (userId) => (userId ? userPerMinute : ipPerMinute);
+  const keyFor = ({ userId, ip }) => (userId ? userKey(userId) : ipKey(ip));
+
+  return {
+    anonymousAllowed: anonymousDailyLimit > 0,
+
+    // Count a scan request against the rate limits and reserve one scan of the daily quota.
+    // Returns { allowed: true, reservation } (pass it to refund if the scan is not
+    // extracted) or { allowed: false, reason, error, retryAfterSeconds }.
+    // Rejected requests are not counted.
+    check({ userId, ip }, now = new Date()) {
+      const key = keyFor({ userId, ip });
+      const windows = windowsAt(now);
+      return store.transaction(async (tx) => {
+        const counts = currentCounts(await tx.scanUsage.get(key), windows);
+
+        if (counts.minuteCount >= perMinuteFor(userId)) {
+          return {
+            allowed: false,
+            reason: 'rate_limited',
+            error: 'Too many scans. Please wait a minute and try again.',
+            retryAfterSeconds: secondsUntil(windows.minuteEnds, now)
+          };
+        }
+        if (counts.dayCount >= dailyLimitFor(userId)) {
+          return {
+            allowed: false,
+            reason: 'quota_exceeded',
+            error: userId
+              ? `Daily scan quota of ${userDailyLimit} reached. It resets at midnight UTC.`
+              : 'Daily anonymous scan allowance reached. Sign in to scan more receipts.',
+            retryAfterSeconds: secondsUntil(windows.dayEnds, now)
+          };
+        }
+
+        await tx.scanUsage.set(key, usageDoc(windows, { minuteCount: counts.minuteCount + 1, dayCount: counts.dayCount + 1 }, now));
+        return { allowed: true, reservation: { key, day: windows.day } };
+      });
+    },
+
+    // Give back a reserved scan (cache hit, invalid upload or failed extraction). A
+    // reservation from a day that has since reset is dropped.
+    refund({ key, day }, now = new Date()) {
+      return store.transaction(async (tx) => {
+        const usage = await tx.scanUsage.get(key);
+        if (usage?.day !== day || !(usage.dayCount > 0)) {
+          return;
+        }
+        await tx.scanUsage.set(key, {
+          minute: usage.minute,
+          minuteCount: usage.minuteCount,
+          day,
+          dayCount: usage.dayCount - 1,
+          updatedAt: now.toISOString()
+        });
+      });
+    },
+
+    // The caller's remaining quota
+    async status({ userId, ip }, now = new Date()) {
+      const windows = windowsAt(now);
+      const counts = currentCounts(await store.scanUsage.get(keyFor({ userId, ip })), windows);
+      const dailyLimit = dailyLimitFor(userId);
+      const perMinute = perMinuteFor(userId);
+      return {
+        anonymous: !userId,
+        daily: {
+          limit: dailyLimit,
+          used: counts.dayCount,
+          remaining: Math.max(0, dailyLimit - counts.dayCount),
+          resetsAt: windows.dayEnds.toISOString()
+        },
+        perMinute: {
+          limit: perMinute,
+          used: counts.minuteCount,
+          remaining: Math.max(0, perMinute - counts.minuteCount),
+          resetsAt: windows.minuteEnds.toISOString()
+        }
+      };
+    },
+
+    // Delete counters not used for a while. Returns the number deleted.
+    async prune(now = new Date()) {
+      const stale = await store.scanUsage.listUpdatedBefore(new Date(now.getTime() - USAGE_RETENTION_MS).toISOString());
+      await store.batchWrite(stale.map(usage => ({ type: 'delete', collection: 'scan_usage', id: usage.id })));
+      return stale.length;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+// Data migrations
+// Each migration has a version, a name and plan(store), which inspects the data and
+// returns the writes it needs: [{ type: 'update' | 'set' | 'delete', collection, id,
+// data, reason }]. Planning is separate from applying so a dry run can report exactly
+// what would change. Applied versions are recorded in schema_migrations and never run
+// again, and plans only return writes that are still needed, so re-running after a
+// partial failure is safe.
+// New migrations go at the end of MIGRATIONS with the next version number.
+import reminderOwners from './reminderOwners.js';
+import notifyPending from './notifyPending.js';
+
+export const MIGRATIONS = [
+  reminderOwners,
+  notifyPending
+];
+
+const versionKey = (version) => String(version).padStart(4, '0');
+
+// { "update reminders": 3, "delete reminders": 1 }
+export const countChanges = (changes) => changes.reduce((counts, { type, collection }) => {
+  const key = `${type} ${collection}`;
+  counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+export function createMigrator(store, { migrations = MIGRATIONS } = {}) {
+  const appliedVersions = async () => {
+    const records = await store.migrations.list();
+    return new Map(records.map(record => [record.version, record]));
+  };
+
+  return {
+    // Every migration with its applied record, or null if pending
+    async status() {
+      const applied = await appliedVersions();
+      return migrations.map(({ version, name, description }) => ({
+        version,
+        name,
+        description,
+        applied: applied.get(version) || null
+      }));
+    },
+
+    // Plan and (unless dryRun) apply pending migrations in version order.
+    // Returns [{ version, name, changes, applied }] with each migration's planned writes.
+    // A dry run writes nothing, so each migration is planned against the data as it is now,
+    // without the changes earlier pending migrations would make. Once an earlier plan has
+    // changes, later plans may be wrong: a real run could make more or fewer writes.
+    async run({ dryRun = false } = {}) {
+      const applied = await appliedVersions();
+      const pending = migrations
+        .filter(migration => !applied.has(migration.version))
+        .sort((a, b) => a.version - b.version);
+
+      const results = [];
+      for (const migration of pending) {
+        const changes = await migration.plan(store);
+        if (!dryRun) {
+          await store.batchWrite(changes.map(({ reason, ...write }) => write));
+          await store.migrations.set(versionKey(migration.version), {
+            version: migration.version,
+            name: migration.name,
+            appliedAt: new Date().toISOString(),
+            changeCount: changes.length,
+            changeCounts: countChanges(changes)
+          });
+        }
+        results.push({ version: migration.version, name: migration.name, changes, applied: !dryRun });
+      }
+      return results;
+    }
+  };
+}
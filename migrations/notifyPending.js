@@ -0,0 +1,22 @@
+// The scheduler only reads reminders flagged notifyPending. Flag every reminder saved
+// before the flag existed that still needs a push, and unflag any that no longer do.
+import { needsNotification } from '../notifications/digest.js';
+
+export default {
+  version: 2,
+  name: 'notify-pending',
+  description: 'Set notifyPending on reminders that still need a push for their due date',
+
+  async plan(store) {
+    const reminders = await store.reminders.listAllFields(['status', 'deletedAt', 'dueDate', 'notifiedFor', 'notifyPending']);
+    return reminders
+      .filter(reminder => needsNotification(reminder) !== (reminder.notifyPending === true))
+      .map(reminder => ({
+        type: 'update',
+        collection: 'reminders',
+        id: reminder.id,
+        data: { notifyPending: needsNotification(reminder) },
+        reason: needsNotification(reminder) ? 'not yet notified for its due date' : 'completed, deleted or already notified'
+      }));
+  }
+};
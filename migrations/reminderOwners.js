@@ -0,0 +1,62 @@
+// Reminders saved before reminders carried userId have no owner, so the scheduler cannot
+// send them. Take the owner from the reminder's item, or from another reminder for the
+// same item (fixing the item too); reminders whose owner cannot be found are deleted.
+export default {
+  version: 1,
+  name: 'reminder-owners',
+  description: 'Backfill userId on reminders and delete reminders with no findable owner',
+
+  async plan(store) {
+    const reminders = await store.reminders.listAllFields(['userId', 'itemId']);
+    const changes = [];
+    const updatedItems = new Set();
+
+    for (const reminder of reminders.filter(reminder => !reminder.userId)) {
+      if (!reminder.itemId) {
+        changes.push({ type: 'delete', collection: 'reminders', id: reminder.id, reason: 'orphaned: no itemId' });
+        continue;
+      }
+
+      const item = await store.items.get(reminder.itemId);
+      if (!item) {
+        changes.push({ type: 'delete', collection: 'reminders', id: reminder.id, reason: `orphaned: item ${reminder.itemId} not found` });
+        continue;
+      }
+      if (item.userId) {
+        changes.push({
+          type: 'update',
+          collection: 'reminders',
+          id: reminder.id,
+          data: { userId: item.userId },
+          reason: `userId ${item.userId} from item ${item.id}`
+        });
+        continue;
+      }
+
+      const owner = (await store.reminders.listByItem(item.id)).find(other => other.userId?.trim());
+      if (!owner) {
+        changes.push({ type: 'delete', collection: 'reminders', id: reminder.id, reason: `orphaned: no userId on item ${item.id} or its reminders` });
+        continue;
+      }
+      changes.push({
+        type: 'update',
+        collection: 'reminders',
+        id: reminder.id,
+        data: { userId: owner.userId },
+        reason: `userId ${owner.userId} from reminder ${owner.id} for the same item`
+      });
+      if (!updatedItems.has(item.id)) {
+        updatedItems.add(item.id);
+        changes.push({
+          type: 'update',
+          collection: 'items',
+          id: item.id,
+          data: { userId: owner.userId },
+          reason: `userId ${owner.userId} from reminder ${owner.id}`
+        });
+      }
+    }
+
+    return changes;
+  }
+};
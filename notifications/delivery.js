@@ -0,0 +1,167 @@
+// Notification delivery log
+// Every push is recorded in the notifications collection with the outcome of each
+// attempt per device token (by token document id; tokens themselves are not stored).
+// Devices that fail with a transient error are retried with exponential backoff until
+// maxAttempts; tokens FCM reports as invalid are deleted. The same records back the
+// user-facing history with read and dismissed state.
+
+// Errors that mean the token will never work again
+const INVALID_TOKEN_ERRORS = new Set([
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered'
+]);
+
+// Errors worth retrying later; anything else is treated as permanent for that device
+const TRANSIENT_ERRORS = new Set([
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'app/network-error',
+  'app/network-timeout'
+]);
+
+// Create the delivery service.
+// options: { messaging, maxAttempts, retryBaseMs, historyMs }
+//   retryBaseMs - delay before the first retry, doubled for each one after
+//   historyMs   - how long records are kept
+export function createNotificationDelivery(store, { messaging, maxAttempts, retryBaseMs, historyMs }) {
+  // Send to the given token docs and record the attempt. Returns the updated record.
+  const attempt = async (record, tokenDocs) => {
+    const now = new Date();
+    let results;
+    try {
+      const response = await messaging.sendEachForMulticast({
+        ...record.message,
+        tokens: tokenDocs.map(tokenDoc => tokenDoc.token)
+      });
+      results = response.responses.map((resp, index) => ({
+        tokenId: tokenDocs[index].id,
+        success: resp.success,
+        ...(resp.success
+          ? { messageId: resp.messageId || null }
+          : { errorCode: resp.error?.code || 'unknown', errorMessage: resp.error?.message || null })
+      }));
+    } catch (error) {
+      // The whole request failed (e.g. network), so every device can be retried
+      results = tokenDocs.map(tokenDoc => ({
+        tokenId: tokenDoc.id,
+        success: false,
+        errorCode: error.code || 'app/network-error',
+        errorMessage: error.message
+      }));
+    }
+
+    const invalidTokenIds = results.filter(result => INVALID_TOKEN_ERRORS.has(result.errorCode)).map(result => result.tokenId);
+    if (invalidTokenIds.length > 0) {
+      await store.batchWrite(invalidTokenIds.map(tokenId => ({
+        type: 'delete',
+        collection: `fcm_tokens/${record.userId}/tokens`,
+        id: tokenId
+      })));
+    }
+
+    const attemptCount = (record.attemptCount || 0) + 1;
+    const deliveredTokenIds = [
+      ...(record.deliveredTokenIds || []),
+      ...results.filter(result => result.success).map(result => result.tokenId)
+    ];
+    const pendingTokenIds = attemptCount < maxAttempts
+      ? results.filter(result => TRANSIENT_ERRORS.has(result.errorCode)).map(result => result.tokenId)
+      : [];
+    const delivered = deliveredTokenIds.length > 0;
+
+    const updates = {
+      status: delivered ? 'sent' : pendingTokenIds.length > 0 ? 'retrying' : 'failed',
+      attempts: [...(record.attempts || []), { at: now.toISOString(), results }],
+      attemptCount,
+      deliveredTokenIds,
+      pendingTokenIds,
+      nextAttemptAt: pendingTokenIds.length > 0
+        ? new Date(now.getTime() + retryBaseMs * 2 ** (attemptCount - 1)).toISOString()
+        : null,
+      updatedAt: now.toISOString()
+    };
+    if (delivered && !record.deliveredAt) {
+      updates.deliveredAt = now.toISOString();
+    }
+    await store.notifications.update(record.id, updates);
+
+    // Reminders count as notified once the first device has the message. A reminder may
+    // have been purged while a retry was pending, so one failed update is not fatal.
+    if (delivered && !record.deliveredAt) {
+      await Promise.all(record.reminderIds.map(reminderId => (
+        store.reminders.update(reminderId, { lastNotificationSent: now.toISOString() }).catch(() => {})
+      )));
+    }
+    return { ...record, ...updates, invalidTokenIds };
+  };
+
+  return {
+    // A new record for a message to the user's devices, to be created with
+    // notifications.create (inside the transaction that claims its reminders) and then
+    // passed to deliver. Until the first attempt it is due for retry after retryBaseMs,
+    // so a send interrupted by a crash is picked up by the next run.
+    newRecord(userId, message, { reminderIds, tokenDocs, now = new Date() }) {
+      return {
+        userId,
+        title: message.notification?.title || null,
+        body: message.notification?.body || null,
+        reminderIds,
+        message,
+        status: 'pending',
+        attemptCount: 0,
+        pendingTokenIds: tokenDocs.map(tokenDoc => tokenDoc.id),
+        nextAttemptAt: new Date(now.getTime() + retryBaseMs).toISOString(),
+        readAt: null,
+        dismissedAt: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      };
+    },
+
+    // Send a created record to the given token docs.
+    // Returns the record, including invalidTokenIds removed by this attempt.
+    deliver: (record, tokenDocs) => attempt(record, tokenDocs),
+
+    // Retry records whose backoff has elapsed. Returns the retried records.
+    async retryDue(now = new Date()) {
+      const due = await store.notifications.listRetryDue(now.toISOString());
+      const retried = [];
+      for (const record of due) {
+        const tokenDocs = (await store.tokens.listByUser(record.userId))
+          .filter(tokenDoc => record.pendingTokenIds?.includes(tokenDoc.id));
+        if (tokenDocs.length === 0) {
+          // The devices were unregistered in the meantime
+          await store.notifications.update(record.id, {
+            status: record.deliveredAt ? 'sent' : 'failed',
+            pendingTokenIds: [],
+            nextAttemptAt: null,
+            updatedAt: now.toISOString()
+          });
+          continue;
+        }
+        retried.push(await attempt(record, tokenDocs));
+      }
+      return retried;
+    },
+
+    // Delete records older than the history window. Returns the number deleted.
+    async prune(now = new Date()) {
+      const expired = await store.notifications.listCreatedBefore(new Date(now.getTime() - historyMs).toISOString());
+      await store.batchWrite(expired.map(record => ({ type: 'delete', collection: 'notifications', id: record.id })));
+      return expired.length;
+    }
+  };
+}
+
+// The user-facing view of a record: no message payload or per-token detail
+export const toNotificationSummary = ({ message, attempts, deliveredTokenIds, pendingTokenIds, ...record }) => ({
+  ...record,
+  devices: {
+    delivered: deliveredTokenIds?.length || 0,
+    pending: pendingTokenIds?.length || 0
+  }
+});
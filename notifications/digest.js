@@ -0,0 +1,164 @@
+// Notification digests
+// Due reminders are batched into one push per user and sent according to the user's
+// notification settings:
+//   - enabled:         false turns pushes off entirely
+//   - deliveryTime:    "HH:MM" sends one daily digest at that local time covering
+//                      everything due before the next one; null sends as items fall due
+//   - quietHours:      { start, end } "HH:MM" local window in which nothing is sent;
+//                      held reminders go out when it ends
+//   - mutedCategories: categories never pushed (reminders still show in the app)
+// Each reminder is pushed once per due date, so snoozing or rescheduling re-arms it.
+// Reminders carry notifyPending while they may still need a push, so the scheduler only
+// reads those; it is cleared when the reminder is sent or will never be (muted,
+// notifications off, completed, deleted). Reminders saved before the flag existed get it
+// from the notify-pending migration; the scheduler sends nothing until it has run.
+import { WASTE_CATEGORIES } from '../schemas/item.js';
+import { TIME_PATTERN } from '../schemas/city.js';
+import { localDateKey, localTimeOfDay } from '../cities/schedule.js';
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: true,
+  deliveryTime: null,
+  quietHours: { start: '22:00', end: '07:00' },
+  mutedCategories: []
+};
+
+// Without a delivery time, reminders are sent up to this long before they fall due
+export const DUE_SOON_MS = 60 * 60 * 1000;
+
+// A daily digest covers reminders due before the next day's digest
+export const DIGEST_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Names listed in a digest body before "and N more"
+const DIGEST_NAMES_SHOWN = 3;
+
+const isTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+// Validate a partial notifications settings update. Returns { value } or { error }.
+export function validateNotificationSettings(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'notifications must be an object' };
+  }
+  const value = {};
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'notifications.enabled must be a boolean' };
+    }
+    value.enabled = body.enabled;
+  }
+  if (body.deliveryTime !== undefined) {
+    if (body.deliveryTime !== null && !isTime(body.deliveryTime)) {
+      return { error: 'notifications.deliveryTime must be a 24-hour time such as "08:00", or null' };
+    }
+    value.deliveryTime = body.deliveryTime;
+  }
+  if (body.quietHours !== undefined) {
+    const quietHours = body.quietHours;
+    if (quietHours !== null && (typeof quietHours !== 'object' || !isTime(quietHours.start) || !isTime(quietHours.end))) {
+      return { error: 'notifications.quietHours must be { start, end } as 24-hour times such as "22:00", or null' };
+    }
+    if (quietHours && quietHours.start === quietHours.end) {
+      return { error: 'notifications.quietHours start and end must differ' };
+    }
+    value.quietHours = quietHours && { start: quietHours.start, end: quietHours.end };
+  }
+  if (body.mutedCategories !== undefined) {
+    if (!Array.isArray(body.mutedCategories) || !body.mutedCategories.every(category => WASTE_CATEGORIES.includes(category))) {
+      return { error: `notifications.mutedCategories must be a list of: ${WASTE_CATEGORIES.join(', ')}` };
+    }
+    value.mutedCategories = [...new Set(body.mutedCategories)];
+  }
+
+  return { value };
+}
+
+// Whether a local "HH:MM" time falls in quiet hours (which may wrap past midnight)
+export const isQuietTime = (time, quietHours) => {
+  if (!quietHours) {
+    return false;
+  }
+  const { start, end } = quietHours;
+  return start < end ? time >= start && time < end : time >= start || time < end;
+};
+
+// Whether a reminder still needs a push for its current due date
+export const needsNotification = (reminder) => (
+  (reminder.status === 'upcoming' || reminder.status === 'overdue')
+  && !reminder.deletedAt
+  && reminder.notifiedFor !== reminder.dueDate
+);
+
+// Decide which of a user's pending reminders to push now.
+// settings: the user's full settings ({ timezone, notifications }).
+// state: the user's notification state ({ lastDigestDate }).
+// Returns { reminders } to send (possibly empty), { skipped } that have fallen due but
+// will never be sent (muted, or notifications off) and, when nothing is sent, a reason.
+export function planDigest(reminders, { timezone, notifications }, state = {}, now = new Date()) {
+  const { enabled, deliveryTime, quietHours, mutedCategories = [] } = { ...DEFAULT_NOTIFICATION_SETTINGS, ...notifications };
+  const dueBy = (horizon) => reminders
+    .filter(reminder => needsNotification(reminder) && new Date(reminder.dueDate).getTime() <= horizon);
+  if (!enabled) {
+    return { reminders: [], skipped: dueBy(now.getTime()), reason: 'disabled' };
+  }
+  const muted = dueBy(now.getTime()).filter(reminder => mutedCategories.includes(reminder.category));
+
+  const time = localTimeOfDay(now, timezone);
+  if (isQuietTime(time, quietHours)) {
+    return { reminders: [], skipped: muted, reason: 'quiet hours' };
+  }
+
+  let horizon = now.getTime() + DUE_SOON_MS;
+  if (deliveryTime) {
+    if (time < deliveryTime || state.lastDigestDate === localDateKey(now, timezone)) {
+      return { reminders: [], skipped: muted, reason: `waiting for ${deliveryTime}` };
+    }
+    horizon = now.getTime() + DIGEST_WINDOW_MS;
+  }
+
+  const due = dueBy(horizon)
+    .filter(reminder => !mutedCategories.includes(reminder.category))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  return due.length > 0 ? { reminders: due, skipped: muted } : { reminders: [], skipped: muted, reason: 'nothing due' };
+}
+
+// The FCM message for a digest (tokens are added by the sender). Data values are strings
+// as FCM requires; reminderIds is a comma-separated list.
+export function buildDigestMessage(reminders) {
+  const names = reminders.map(reminder => reminder.itemName || 'item');
+  const shown = names.slice(0, DIGEST_NAMES_SHOWN).join(', ');
+  const more = names.length - DIGEST_NAMES_SHOWN;
+  const [first] = reminders;
+
+  return {
+    notification: reminders.length === 1
+      ? { title: 'CleanSort Reminder', body: `Time to dispose: ${first.itemName}` }
+      : { title: `CleanSort: ${reminders.length} items to dispose`, body: more > 0 ? `${shown} and ${more} more` : shown },
+    data: {
+      type: 'digest',
+      count: String(reminders.length),
+      reminderIds: reminders.map(reminder => reminder.id).join(','),
+      // Single-reminder fields kept for clients that open the reminder directly
+      reminderId: first.id,
+      itemId: first.itemId || '',
+      itemName: first.itemName || '',
+      category: first.category || '',
+      dueDate: first.dueDate
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: 'default',
+          badge: reminders.length
+        }
+      }
+    },
+    android: {
+      priority: 'high',
+      notification: {
+        sound: 'default',
+        channelId: 'reminders'
+      }
+    }
+  };
+}
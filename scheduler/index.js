@@ -0,0 +1,144 @@
+// Leader-elected scheduler
+// Every server instance ticks on the same interval, but a job only runs on the instance
+// holding its lease in the store (scheduler_leases/{name}). The leader renews the lease
+// each tick; if it stops (crash, deploy) another instance takes over once the lease
+// expires, or straight away when the leader releases it on shutdown. The lease document
+// also records the last run so any instance can report the scheduler's status.
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+
+export const defaultInstanceId = () => `${hostname()}-${process.pid}-${randomBytes(3).toString('hex')}`;
+
+// Create a scheduler for one job.
+// options: { name, intervalMs, leaseMs, instanceId, run }
+//   leaseMs - how long a lease lasts without renewal; longer than intervalMs so the leader
+//             keeps it between ticks
+//   run     - async () => summary (anything JSON-serialisable, kept as lastRun.summary)
+export function createLeaderScheduler(store, { name, intervalMs, leaseMs, instanceId, run }) {
+  let timer = null;
+  let running = false;
+  let nextRunAt = null;
+
+  // Take or renew the lease. Returns true if this instance is now the leader.
+  const acquire = () => store.transaction(async (tx) => {
+    const lease = await tx.schedulerLeases.get(name);
+    const now = new Date();
+    if (lease?.holder && lease.holder !== instanceId && lease.expiresAt > now.toISOString()) {
+      return false;
+    }
+    await tx.schedulerLeases.set(name, {
+      holder: instanceId,
+      acquiredAt: lease?.holder === instanceId ? lease.acquiredAt : now.toISOString(),
+      renewedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + leaseMs).toISOString()
+    });
+    return true;
+  });
+
+  // Run the job if this instance holds the lease.
+  // Returns { ran: true, summary } or { ran: false, reason }.
+  const tick = async () => {
+    if (running) {
+      return { ran: false, reason: 'already running' };
+    }
+    running = true;
+    try {
+      if (!await acquire()) {
+        return { ran: false, reason: 'another instance holds the lease' };
+      }
+      const startedAt = new Date();
+      let summary = null;
+      let error = null;
+      try {
+        summary = await run();
+      } catch (runError) {
+        error = runError.message;
+      }
+      const finishedAt = new Date();
+      await store.transaction(async (tx) => {
+        const lease = await tx.schedulerLeases.get(name);
+        await tx.schedulerLeases.set(name, {
+          // Renewed again so a long run does not let the lease lapse, unless another
+          // instance took over meanwhile
+          ...(lease?.holder === instanceId && {
+            expiresAt: new Date(finishedAt.getTime() + leaseMs).toISOString(),
+            nextRunAt: nextRunAt && nextRunAt.toISOString()
+          }),
+          lastRun: {
+            instanceId,
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            error,
+            summary: summary ?? null
+          }
+        });
+      });
+      if (error) {
+        throw new Error(error);
+      }
+      return { ran: true, summary };
+    } finally {
+      running = false;
+    }
+  };
+
+  const schedule = (delayMs) => {
+    nextRunAt = new Date(Date.now() + delayMs);
+    timer = setTimeout(async () => {
+      schedule(intervalMs);
+      try {
+        await tick();
+      } catch (error) {
+        console.error(`❌ Scheduler "${name}" run failed:`, error.message);
+      }
+    }, delayMs);
+  };
+
+  return {
+    instanceId,
+    intervalMs,
+    tick,
+
+    // Start ticking; the first tick is after initialDelayMs
+    start(initialDelayMs = intervalMs) {
+      if (!timer) {
+        schedule(initialDelayMs);
+      }
+    },
+
+    // Stop ticking and hand the lease over if this instance holds it
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextRunAt = null;
+      await store.transaction(async (tx) => {
+        const lease = await tx.schedulerLeases.get(name);
+        if (lease?.holder === instanceId) {
+          await tx.schedulerLeases.set(name, { holder: null, expiresAt: new Date().toISOString() });
+        }
+      });
+    },
+
+    // Status as seen from this instance, including the current leader
+    async status() {
+      const lease = await store.schedulerLeases.get(name);
+      const now = new Date().toISOString();
+      const leaderActive = Boolean(lease?.holder) && lease.expiresAt > now;
+      return {
+        name,
+        intervalMs,
+        leaseMs,
+        instanceId,
+        isLeader: leaderActive && lease.holder === instanceId,
+        running,
+        leader: leaderActive
+          ? { instanceId: lease.holder, acquiredAt: lease.acquiredAt, expiresAt: lease.expiresAt }
+          : null,
+        lastRun: lease?.lastRun || null,
+        // The leader's next run; before any instance has led, this instance's next tick
+        nextRunAt: (leaderActive ? lease.nextRunAt : null) || (nextRunAt && nextRunAt.toISOString())
+      };
+    }
+  };
+}
@@ -0,0 +1,133 @@
+// City rules schema
+// A city record describes how each waste category is handled there: which bin it goes
+// in, the days it is collected from the doorstep (none means drop-off only) and the
+// items the municipality will not pick up. collectionTime is when reminders fall due.
+import { WASTE_CATEGORIES } from './item.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const CITY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,49}$/;
+
+// Local time of day waste is collected, "HH:MM"
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const TEXT_MAX_LENGTH = 200;
+
+const isText = (value) => typeof value === 'string' && value.trim() && value.trim().length <= TEXT_MAX_LENGTH;
+
+const validateTextList = (value, field, errors) => {
+  if (!Array.isArray(value) || !value.every(isText)) {
+    errors.push({ field, message: `${field} must be a list of strings up to ${TEXT_MAX_LENGTH} characters` });
+    return [];
+  }
+  return value.map(text => text.trim());
+};
+
+const validateCategoryRule = (rule, category, errors) => {
+  const field = `categories.${category}`;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push({ field, message: `${field} must be an object` });
+    return null;
+  }
+
+  const value = { bin: null, collectionDays: [] };
+  if (rule.bin !== undefined && rule.bin !== null) {
+    if (!isText(rule.bin)) {
+      errors.push({ field: `${field}.bin`, message: 'bin must be a colour or bin name' });
+    } else {
+      value.bin = rule.bin.trim().toLowerCase();
+    }
+  }
+  if (rule.collectionDays !== undefined) {
+    const days = Array.isArray(rule.collectionDays)
+      ? rule.collectionDays.map(day => String(day).trim().toLowerCase().slice(0, 3))
+      : null;
+    if (!days || !days.every(day => WEEKDAYS.includes(day))) {
+      errors.push({ field: `${field}.collectionDays`, message: `collectionDays must be a list of: ${WEEKDAYS.join(', ')}` });
+    } else {
+      value.collectionDays = WEEKDAYS.filter(day => days.includes(day));
+    }
+  }
+  if (rule.dropOff !== undefined && rule.dropOff !== null) {
+    if (!isText(rule.dropOff)) {
+      errors.push({ field: `${field}.dropOff`, message: `dropOff must be a string up to ${TEXT_MAX_LENGTH} characters` });
+    } else {
+      value.dropOff = rule.dropOff.trim();
+    }
+  }
+  return value;
+};
+
+// Whether timezone is an IANA name this runtime knows, e.g. "Asia/Kolkata"
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Validate a full city record (the id comes from the URL).
+// Returns { value, errors } like validateItem.
+export function validateCity(data) {
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value, errors: [{ field: null, message: 'city must be an object' }] };
+  }
+
+  if (!isText(data.name)) {
+    errors.push({ field: 'name', message: 'name is required' });
+  } else {
+    value.name = data.name.trim();
+  }
+
+  value.aliases = data.aliases === undefined
+    ? []
+    : validateTextList(data.aliases, 'aliases', errors).map(alias => alias.toLowerCase());
+
+  if (data.timezone !== undefined) {
+    if (typeof data.timezone !== 'string' || !isValidTimezone(data.timezone)) {
+      errors.push({ field: 'timezone', message: 'timezone must be an IANA time zone such as "Asia/Kolkata"' });
+    } else {
+      value.timezone = data.timezone;
+    }
+  }
+
+  if (data.collectionTime !== undefined) {
+    if (typeof data.collectionTime !== 'string' || !TIME_PATTERN.test(data.collectionTime)) {
+      errors.push({ field: 'collectionTime', message: 'collectionTime must be a 24-hour time such as "07:00"' });
+    } else {
+      value.collectionTime = data.collectionTime;
+    }
+  }
+
+  if (!data.categories || typeof data.categories !== 'object' || Array.isArray(data.categories)) {
+    errors.push({ field: 'categories', message: `categories must be an object keyed by: ${WASTE_CATEGORIES.join(', ')}` });
+  } else {
+    const unknown = Object.keys(data.categories).filter(category => !WASTE_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      errors.push({ field: 'categories', message: `Unknown categories: ${unknown.join(', ')}` });
+    }
+    value.categories = {};
+    for (const category of WASTE_CATEGORIES) {
+      if (data.categories[category] !== undefined) {
+        value.categories[category] = validateCategoryRule(data.categories[category], category, errors);
+      }
+    }
+  }
+
+  value.bannedItems = data.bannedItems === undefined ? [] : validateTextList(data.bannedItems, 'bannedItems', errors);
+
+  if (data.notes !== undefined && data.notes !== null) {
+    if (typeof data.notes !== 'string' || data.notes.length > 1000) {
+      errors.push({ field: 'notes', message: 'notes must be a string up to 1000 characters' });
+    } else {
+      value.notes = data.notes.trim();
+    }
+  }
+
+  return { value, errors };
+}
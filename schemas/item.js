@@ -0,0 +1,181 @@
+// Item schema
+// One definition of a valid item, shared by POST /api/items, /api/items/bulk,
+// PATCH /api/items/:id and the items extracted from receipts.
+
+export const WASTE_CATEGORIES = ['dry', 'wet', 'recyclable', 'hazardous', 'medical', 'e-waste'];
+
+export const ITEM_LIMITS = {
+  nameMaxLength: 100,
+  quantityMaxLength: 50,
+  intervalMin: 1,
+  intervalMax: 365,
+  priceMax: 10000000
+};
+
+// Spellings seen from clients and OCR that mean one of the categories above
+const CATEGORY_ALIASES = {
+  'ewaste': 'e-waste',
+  'e waste': 'e-waste',
+  'electronic': 'e-waste',
+  'recycle': 'recyclable',
+  'recycling': 'recyclable'
+};
+
+// A number followed by an optional unit or description:
+// "1L", "1.2 kg", "2 x 500g", "1 pack (6 pcs)"
+const QUANTITY_PATTERN = /^\d+(?:[.,]\d+)?[\p{L}\p{N}\s.,x×()/-]*$/u;
+
+// Fields stored on an item. Anything else in a payload is dropped.
+export const ITEM_FIELDS = ['name', 'quantity', 'category', 'interval', 'confidence', 'recurrence', 'price', 'currency', 'purchaseDate'];
+
+// ISO 4217 code, e.g. "INR"
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Purchase dates may be up to a day ahead to allow for timezones
+const PURCHASE_DATE_SLACK_MS = 24 * 60 * 60 * 1000;
+
+const normalizeCategory = (category) => {
+  if (typeof category !== 'string') {
+    return category;
+  }
+  const normalized = category.trim().toLowerCase();
+  return CATEGORY_ALIASES[normalized] || normalized;
+};
+
+const fieldValidators = {
+  name(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+      return { message: 'name is required' };
+    }
+    const name = value.trim();
+    if (name.length > ITEM_LIMITS.nameMaxLength) {
+      return { message: `name must be at most ${ITEM_LIMITS.nameMaxLength} characters` };
+    }
+    return { value: name };
+  },
+
+  quantity(value) {
+    const quantity = typeof value === 'number' ? String(value) : value;
+    if (typeof quantity !== 'string') {
+      return { message: 'quantity must be a string such as "1L" or "2 x 500g"' };
+    }
+    const trimmed = quantity.trim();
+    if (trimmed.length > ITEM_LIMITS.quantityMaxLength) {
+      return { message: `quantity must be at most ${ITEM_LIMITS.quantityMaxLength} characters` };
+    }
+    if (trimmed && !QUANTITY_PATTERN.test(trimmed)) {
+      return { message: 'quantity must start with a number, e.g. "1L", "1.2 kg" or "2 x 500g"' };
+    }
+    return { value: trimmed };
+  },
+
+  category(value) {
+    const category = normalizeCategory(value);
+    if (!WASTE_CATEGORIES.includes(category)) {
+      return { message: `category must be one of: ${WASTE_CATEGORIES.join(', ')}` };
+    }
+    return { value: category };
+  },
+
+  interval(value) {
+    const interval = Number(value);
+    if (!Number.isInteger(interval) || interval < ITEM_LIMITS.intervalMin || interval > ITEM_LIMITS.intervalMax) {
+      return { message: `interval must be a whole number of days between ${ITEM_LIMITS.intervalMin} and ${ITEM_LIMITS.intervalMax}` };
+    }
+    return { value: interval };
+  },
+
+  confidence(value) {
+    const confidence = Number(value);
+    if (typeof value === 'boolean' || isNaN(confidence) || confidence < 0 || confidence > 1) {
+      return { message: 'confidence must be a number between 0 and 1' };
+    }
+    return { value: confidence };
+  },
+
+  // Recurrence rules are checked in detail when the item is saved
+  recurrence(value) {
+    return { value };
+  },
+
+  // Line price in the receipt's currency
+  price(value) {
+    const price = Number(value);
+    if (typeof value === 'boolean' || isNaN(price) || price < 0 || price > ITEM_LIMITS.priceMax) {
+      return { message: `price must be a number between 0 and ${ITEM_LIMITS.priceMax}` };
+    }
+    return { value: Math.round(price * 100) / 100 };
+  },
+
+  currency(value) {
+    const currency = typeof value === 'string' ? value.trim().toUpperCase() : value;
+    if (typeof currency !== 'string' || !CURRENCY_PATTERN.test(currency)) {
+      return { message: 'currency must be a 3-letter ISO code such as "INR"' };
+    }
+    return { value: currency };
+  },
+
+  // Stored as a calendar date, "YYYY-MM-DD"
+  purchaseDate(value) {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())
+      ? new Date(`${value.trim()}T00:00:00Z`)
+      : new Date(value);
+    if (typeof value === 'boolean' || Array.isArray(value) || isNaN(date.getTime())) {
+      return { message: 'purchaseDate must be a date such as "2024-05-31"' };
+    }
+    if (date.getTime() > Date.now() + PURCHASE_DATE_SLACK_MS) {
+      return { message: 'purchaseDate cannot be in the future' };
+    }
+    return { value: date.toISOString().slice(0, 10) };
+  }
+};
+
+const REQUIRED_FIELDS = ['name', 'category'];
+
+// Validate an item payload.
+// With partial: true (edits) only the fields present are checked and nothing is required.
+// Fields listed in dropInvalid are left out when invalid instead of failing the item
+// (used for OCR output, where one misread field should not lose the whole line).
+// Returns { value, errors } where value holds the cleaned known fields and
+// errors is a list of { field, message }.
+export function validateItem(data, { partial = false, dropInvalid = [] } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value, errors: [{ field: null, message: 'item must be an object' }] };
+  }
+
+  for (const field of ITEM_FIELDS) {
+    if (data[field] === undefined || data[field] === null || data[field] === '') {
+      if (!partial && REQUIRED_FIELDS.includes(field)) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      continue;
+    }
+    const result = fieldValidators[field](data[field]);
+    if (result.message && dropInvalid.includes(field) && !REQUIRED_FIELDS.includes(field)) {
+      continue;
+    }
+    if (result.message) {
+      errors.push({ field, message: result.message });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+// Validate a list of items. Returns { values, errors } where errors is a list of
+// { index, field, message } covering every problem in every item.
+export function validateItems(items, options) {
+  const values = [];
+  const errors = [];
+  items.forEach((item, index) => {
+    const result = validateItem(item, options);
+    values.push(result.value);
+    errors.push(...result.errors.map(error => ({ index, ...error })));
+  });
+  return { values, errors };
+}
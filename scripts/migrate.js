@@ -0,0 +1,96 @@
+// Data migration command
+// Usage: node scripts/migrate.js [--dry-run] [--status] [--report <file>]
+//   --dry-run        plan pending migrations and print the changes without writing
+//   --status         list migrations and when each was applied
+//   --report <file>  also write every planned change to <file> as JSON
+// Uses the same STORAGE_DRIVER, DATA_FILE and Firebase settings as the server.
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { createStore } from '../storage/index.js';
+import { countChanges, createMigrator } from '../migrations/index.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const reportIndex = args.indexOf('--report');
+const reportFile = reportIndex >= 0 ? args[reportIndex + 1] : null;
+
+if (reportIndex >= 0 && !reportFile) {
+  console.error('❌ --report needs a file path');
+  process.exit(1);
+}
+
+const openStore = () => {
+  let db;
+  if (process.env.STORAGE_DRIVER !== 'file') {
+    if (!getApps().length) {
+      const firebaseConfig = process.env.FIREBASE_SERVICE_ACCOUNT_KEY
+        ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY)
+        : { projectId: process.env.FIREBASE_PROJECT_ID || 'clean-sort-bits-2025' };
+      initializeApp({
+        credential: process.env.FIREBASE_SERVICE_ACCOUNT_KEY ? cert(firebaseConfig) : undefined,
+        projectId: firebaseConfig.project_id || firebaseConfig.projectId || 'clean-sort-bits-2025'
+      });
+    }
+    db = getFirestore();
+  }
+  return createStore({ driver: process.env.STORAGE_DRIVER, db, dataFile: process.env.DATA_FILE });
+};
+
+async function main() {
+  const store = openStore();
+  const migrator = createMigrator(store);
+  console.log('🗄️  Storage:', store.driver, store.location ? `(${store.location})` : '');
+
+  if (args.includes('--status')) {
+    for (const migration of await migrator.status()) {
+      const state = migration.applied
+        ? `✅ applied ${migration.applied.appliedAt} (${migration.applied.changeCount} change(s))`
+        : '⏳ pending';
+      console.log(`  ${migration.version} ${migration.name} - ${state}`);
+      console.log(`      ${migration.description}`);
+    }
+    return;
+  }
+
+  console.log(dryRun ? '🔍 Dry run - nothing will be written' : '🚀 Applying pending migrations');
+  const results = await migrator.run({ dryRun });
+  if (results.length === 0) {
+    console.log('✅ No pending migrations');
+  }
+
+  for (const { version, name, changes, applied } of results) {
+    console.log(`\n📦 ${version} ${name}: ${changes.length} change(s)${applied ? ' applied' : ' planned'}`);
+    for (const change of changes) {
+      console.log(`  - ${change.type} ${change.collection}/${change.id}${change.data ? ` ${JSON.stringify(change.data)}` : ''} - ${change.reason}`);
+    }
+    for (const [key, count] of Object.entries(countChanges(changes))) {
+      console.log(`  📊 ${key}: ${count}`);
+    }
+  }
+
+  const changedAt = results.findIndex(({ changes }) => changes.length > 0);
+  if (dryRun && changedAt >= 0 && changedAt < results.length - 1) {
+    console.log('\n⚠️  Migrations after', results[changedAt].version, 'were planned without its changes - their plans may differ in a real run');
+  }
+
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify({
+      dryRun,
+      storage: store.driver,
+      generatedAt: new Date().toISOString(),
+      migrations: results
+    }, null, 2));
+    console.log('\n📝 Report written to', reportFile);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -1,24 +1,62 @@
+// Load environment variables first - imported modules read them when they load
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import dotenv from 'dotenv';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { initializeApp, getApps, cert } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
 import { getMessaging } from 'firebase-admin/messaging';
 import { getAuth } from 'firebase-admin/auth';
-
-// Load environment variables
-dotenv.config();
+import { createStore } from './storage/index.js';
+import { WASTE_CATEGORIES, validateItem, validateItems } from './schemas/item.js';
+import { ExtractionError } from './extraction/errors.js';
+import { createExtractionProvider } from './extraction/providers/index.js';
+import { mergePageItems } from './extraction/merge.js';
+import { DocumentError, documentKind, readReceiptDocument } from './extraction/documents.js';
+import { createReceiptCache, receiptCacheKey } from './extraction/cache.js';
+import { createScanQuotas } from './extraction/quotas.js';
+import { createCorrections } from './extraction/corrections.js';
+import { buildCityPromptContext, createCityRules } from './cities/index.js';
+import { collectionScheduleFor, computeDueDate, localDateKey, snapToCollection } from './cities/schedule.js';
+import { CITY_ID_PATTERN, isValidTimezone, validateCity } from './schemas/city.js';
+import { createStats, resolveStatsWindow } from './stats/index.js';
+import { buildReminderCalendar, createCalendarFeeds } from './calendar/index.js';
+import { EXPORT_COLUMNS, toCsv } from './exports/csv.js';
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  DIGEST_WINDOW_MS,
+  buildDigestMessage,
+  needsNotification,
+  planDigest,
+  validateNotificationSettings
+} from './notifications/digest.js';
+import { createNotificationDelivery, toNotificationSummary } from './notifications/delivery.js';
+import { createLeaderScheduler, defaultInstanceId } from './scheduler/index.js';
+import { createMigrator } from './migrations/index.js';
 
 const app = express();
 // Railway sets PORT dynamically, but sometimes it's 0 - use fallback
 const PORT = process.env.PORT && process.env.PORT !== '0' ? process.env.PORT : 3001;
 
+// Client IPs (for anonymous scan limits) come from X-Forwarded-For only when TRUST_PROXY
+// names the proxies in front of the app - a hop count or a list of addresses. Unset, the
+// header is ignored so clients cannot spoof their IP, but behind a proxy every anonymous
+// client then shares the proxy's address. Set it explicitly in each deployment.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+} else {
+  console.warn('⚠️  WARNING: TRUST_PROXY is not set - X-Forwarded-For is ignored and anonymous scans are limited by the connecting address (set TRUST_PROXY=1 behind a single proxy)');
+}
+
+// Calendar feed tokens are credentials, so they are kept out of the request log
+const redactPath = (path) => path.replace(/^\/api\/calendar\/[^/]+\.ics$/, '/api/calendar/[token].ics');
+
 // Logging middleware - log all requests
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path} - Origin: ${req.headers.origin || 'none'}`);
+  console.log(`[${timestamp}] ${req.method} ${redactPath(req.path)} - Origin: ${req.headers.origin || 'none'}`);
   next();
 });
 
@@ -28,17 +66,22 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Configure multer for file uploads
+// Receipts can be photos, PDFs, text/HTML files or raw .eml e-mails.
+// Long receipts can be sent as several files (pages) in one request
+const MAX_RECEIPT_PAGES = Number(process.env.MAX_RECEIPT_PAGES) || 10;
+const MAX_RECEIPT_FILE_MB = Number(process.env.MAX_RECEIPT_FILE_MB) || 10;
 const multerStorage = multer.memoryStorage();
 const upload = multer({ 
   storage: multerStorage,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_RECEIPT_FILE_MB * 1024 * 1024,
+    files: MAX_RECEIPT_PAGES,
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (documentKind(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new DocumentError('Only image, PDF, text, HTML and .eml receipts are allowed'), false);
     }
   }
 });
@@ -70,7 +113,22 @@ try {
   console.log('✅ Firebase Messaging (FCM) initialized');
 } catch (error) {
   console.error('❌ Failed to initialize Firebase Admin:', error.message);
-  console.log('⚠️  Will use mock data storage');
+  console.log('⚠️  Will use local file storage');
+}
+
+// Initialize storage - STORAGE_DRIVER=firestore|file, DATA_FILE=path for the file driver
+let store;
+console.log('=== Initializing Storage ===');
+try {
+  store = createStore({
+    driver: process.env.STORAGE_DRIVER,
+    db,
+    dataFile: process.env.DATA_FILE
+  });
+  console.log('✅ Storage initialized:', store.driver, store.location ? `(${store.location})` : '');
+} catch (error) {
+  console.error('❌ Failed to initialize storage:', error.message);
+  process.exit(1);
 }
 
 // Initialize Gemini AI
@@ -84,7 +142,7 @@ console.log('- GEMINI_API_KEY:', process.env.GEMINI_API_KEY ? '✅ Set (hidden)'
 
 try {
   if (!process.env.GEMINI_API_KEY) {
-    console.warn('⚠️  WARNING: GEMINI_API_KEY not configured - will use mock data');
+    console.warn('⚠️  WARNING: GEMINI_API_KEY not configured - receipt processing unavailable');
   } else {
     genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
     console.log('✅ Gemini AI initialized successfully');
@@ -94,68 +152,252 @@ try {
   console.error('Stack:', error.stack);
 }
 
-// City-specific prompts
-const getCityPromptSuffix = (city) => {
-  const cityPrompts = {
-    'mumbai': '\n\nMumbai: Wet waste (green bins, daily), Dry waste (blue bins, twice weekly)',
-    'delhi': '\n\nDelhi: Wet waste (daily collection), Dry waste (weekly collection)',
-    'bangalore': '\n\nBangalore: Wet waste (daily), Dry waste (segregation mandatory)',
-    'chennai': '\n\nChennai: Wet waste (daily), Dry waste (bi-weekly)',
-    'kolkata': '\n\nKolkata: Wet waste (daily), Dry waste (weekly)',
-    'hyderabad': '\n\nHyderabad: Wet waste (green bins, daily), Dry waste (bi-weekly)',
-    'pune': '\n\nPune: Wet waste (daily), Dry waste (weekly)',
-    'ahmedabad': '\n\nAhmedabad: Wet waste (daily), Dry waste (bi-weekly)'
-  };
-  
-  return cityPrompts[city?.toLowerCase()] || '\n\nGeneral disposal guidelines';
-};
+// Initialize the receipt extraction provider - EXTRACTION_PROVIDER=gemini|local,
+// LOCAL_FIXTURES_DIR=path for the local provider's fixtures
+let extractionProvider;
+try {
+  extractionProvider = createExtractionProvider({
+    provider: process.env.EXTRACTION_PROVIDER,
+    genAI,
+    fixturesDir: process.env.LOCAL_FIXTURES_DIR
+  });
+  console.log('✅ Extraction provider:', extractionProvider.name, `(${extractionProvider.model})`);
+} catch (error) {
+  console.error('❌ Failed to initialize extraction provider:', error.message);
+  process.exit(1);
+}
+
+// City waste rules - built-in dataset plus admin edits kept in the store
+const cityRules = createCityRules(store);
+
+// Rules learned from users correcting extracted items. A global rule applies once
+// CORRECTIONS_GLOBAL_MIN_USERS users agree (0 turns global learning off).
+const CORRECTIONS_GLOBAL_MIN_USERS = Number(process.env.CORRECTIONS_GLOBAL_MIN_USERS ?? 3);
+const corrections = createCorrections(store, { globalMinUsers: CORRECTIONS_GLOBAL_MIN_USERS });
+
+// Per-user waste analytics
+const stats = createStats(store);
+
+// Push delivery log. Devices that fail with a transient error are retried after
+// NOTIFICATION_RETRY_BASE_MINUTES, doubling each time, up to NOTIFICATION_MAX_ATTEMPTS.
+// Records are kept for NOTIFICATION_HISTORY_DAYS.
+const notificationDelivery = createNotificationDelivery(store, {
+  messaging,
+  maxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+  retryBaseMs: (Number(process.env.NOTIFICATION_RETRY_BASE_MINUTES) || 5) * 60 * 1000,
+  historyMs: (Number(process.env.NOTIFICATION_HISTORY_DAYS) || 90) * 24 * 60 * 60 * 1000
+});
+
+// The scheduler scans due reminders REMINDER_SCAN_PAGE_SIZE at a time, so memory stays
+// flat however many there are
+const REMINDER_SCAN_PAGE_SIZE = Number(process.env.REMINDER_SCAN_PAGE_SIZE) || 500;
+
+// Reminders released per transaction, well within Firestore's 500-write limit
+const REMINDER_RELEASE_BATCH_SIZE = 100;
+
+// Secret calendar feed URLs. PUBLIC_BASE_URL is used to build them when the server sits
+// behind a proxy; otherwise the request's own host is used.
+const calendarFeeds = createCalendarFeeds(store);
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, '');
 
 // Health check endpoint
-// Manual trigger endpoint for testing notifications
-app.post('/api/notifications/trigger', async (req, res) => {
+// Manual trigger endpoint for testing notifications. Runs through the scheduler so it
+// never overlaps the leader's run on another instance.
+app.post('/api/notifications/trigger', verifyToken, requireAdmin, async (req, res) => {
   try {
     console.log('🔔 Manual notification trigger requested');
-    await checkAndSendNotifications();
-    res.json({ success: true, message: 'Notification check completed' });
+    const result = await notificationScheduler.tick();
+    if (!result.ran) {
+      return res.status(409).json({ error: `Notification check not run: ${result.reason}` });
+    }
+    res.json({ success: true, message: 'Notification check completed', data: result.summary });
   } catch (error) {
     console.error('Error triggering notifications:', error);
     res.status(500).json({ error: 'Failed to trigger notifications' });
   }
 });
 
+// Scheduler status: this instance, the current leader, the last and next run
+app.get('/api/admin/scheduler', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, data: await notificationScheduler.status() });
+  } catch (error) {
+    console.error('Error getting scheduler status:', error);
+    res.status(500).json({ error: 'Failed to get scheduler status' });
+  }
+});
+
 app.get('/health', (req, res) => {
   console.log('✅ Health check requested');
   res.status(200).json({ 
     status: 'OK', 
     message: 'CleanSort OCR Server is running',
     timestamp: new Date().toISOString(),
-    geminiConfigured: !!genAI
+    geminiConfigured: !!genAI,
+    extractionProvider: extractionProvider.name
   });
 });
 
-// Mock data storage (in production, this would be Firestore)
-let mockItems = [];
-let mockReminders = [];
-let mockSettings = { city: '', onboarding: false };
+// Recurrence rules - an item may repeat its disposal reminder every N days.
+// Shape: { every: days, count: total occurrences | null, until: ISO date | null, paused: boolean }
+// Returns { recurrence } (null when the item does not repeat) or { error } if the rule is invalid.
+const normalizeRecurrence = (recurrence, interval) => {
+  if (recurrence === undefined || recurrence === null || recurrence === false) {
+    return { recurrence: null };
+  }
+  const rule = recurrence === true ? {} : recurrence;
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    return { error: 'recurrence must be an object' };
+  }
+
+  const every = Number(rule.every ?? interval ?? 7);
+  if (!Number.isInteger(every) || every < 1 || every > 365) {
+    return { error: 'recurrence.every must be a whole number of days between 1 and 365' };
+  }
+
+  let count = null;
+  if (rule.count !== undefined && rule.count !== null) {
+    count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: 'recurrence.count must be a positive whole number' };
+    }
+  }
+
+  let until = null;
+  if (rule.until !== undefined && rule.until !== null) {
+    const untilDate = new Date(rule.until);
+    if (isNaN(untilDate.getTime())) {
+      return { error: 'recurrence.until must be a valid date' };
+    }
+    until = untilDate.toISOString();
+  }
+
+  return { recurrence: { every, count, until, paused: rule.paused === true } };
+};
+
+// Build the next reminder in an item's series, or null if the series has ended or is paused.
+// The next due date follows the previous one, skipping forward so it is never in the past,
+// and is snapped to the user's collection calendar (see getUserSchedule).
+const buildNextOccurrence = (item, reminder, fromDueDate = reminder.baseDueDate || reminder.dueDate, schedule = null) => {
+  const rule = item?.recurrence;
+  if (!rule || rule.paused) {
+    return null;
+  }
+
+  const occurrence = (reminder.occurrence || 1) + 1;
+  if (rule.count && occurrence > rule.count) {
+    return null;
+  }
+
+  const now = new Date();
+  const options = collectionScheduleFor(schedule, item.category);
+  let from = new Date(fromDueDate);
+  if (isNaN(from.getTime())) {
+    from = now;
+  }
+  let next;
+  do {
+    next = computeDueDate(from, rule.every, options);
+    from = next.baseDueDate;
+  } while (new Date(next.dueDate) <= now);
+
+  if (rule.until && next.dueDate > rule.until) {
+    return null;
+  }
+
+  return {
+    itemId: reminder.itemId,
+    itemName: item.name,
+    category: item.category,
+    userId: reminder.userId,
+    dueDate: next.dueDate,
+    baseDueDate: next.baseDueDate,
+    status: 'upcoming',
+    notifyPending: true,
+    occurrence,
+    createdAt: now.toISOString()
+  };
+};
+
+// When an item's disposal interval starts: midday on its purchase date, or now for items
+// without one (or bought today)
+const scheduleStart = (item, now = new Date()) => {
+  const purchasedAt = item.purchaseDate ? new Date(`${item.purchaseDate}T12:00:00Z`) : now;
+  return isNaN(purchasedAt.getTime()) || purchasedAt > now ? now : purchasedAt;
+};
+
+// Build the first disposal reminder for a newly saved item. The due date is interval
+// days after the purchase date (or now), snapped to the user's next collection day for
+// the category. Items bought long ago start out overdue.
+const buildItemReminder = (item, interval, schedule = null) => {
+  const now = new Date();
+  const { dueDate, baseDueDate } = computeDueDate(scheduleStart(item, now), interval, collectionScheduleFor(schedule, item.category));
+
+  return {
+    itemId: item.id,
+    itemName: item.name,
+    category: item.category,
+    userId: item.userId,
+    dueDate,
+    baseDueDate,
+    status: new Date(dueDate) <= now ? 'overdue' : 'upcoming',
+    notifyPending: true,
+    ...(item.recurrence && { occurrence: 1 }),
+    createdAt: new Date().toISOString()
+  };
+};
+
+// Respond with a structured validation error listing every field problem
+const sendValidationError = (res, details) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details
+});
+
+// Validate new item payloads and fill in defaults. A missing interval falls back to
+// the user's default interval for the category.
+// Returns { items, errors } with errors as { index, field, message }.
+async function prepareNewItems(userId, payloads) {
+  const { values, errors } = validateItems(payloads);
+  const { defaultIntervals } = await getUserSettings(userId);
+
+  const items = values.map((value, index) => {
+    const interval = value.interval ?? defaultIntervals[value.category] ?? 7;
+    const { recurrence, error } = normalizeRecurrence(value.recurrence, interval);
+    if (error) {
+      errors.push({ index, field: 'recurrence', message: error });
+    }
+    return { ...value, interval, recurrence };
+  });
+  return { items, errors };
+}
+
+// Learn from items saved with a different category or interval than extracted.
+// Receipt items are sent back with extracted: { category, interval } holding the values
+// /api/process-receipt returned. Failures are logged and never block saving.
+async function recordCorrections(userId, payloads, savedItems) {
+  let recorded = 0;
+  for (const [index, item] of savedItems.entries()) {
+    try {
+      if (await corrections.record(userId, item, payloads[index]?.extracted)) {
+        recorded++;
+      }
+    } catch (error) {
+      console.error('⚠️  Failed to record correction for', item.name, '-', error.message);
+    }
+  }
+  if (recorded > 0) {
+    console.log('  - Learned', recorded, 'correction(s) for user:', userId);
+  }
+}
 
 // Items API endpoints
 app.get('/api/items', verifyToken, async (req, res) => {
   try {
     const userId = req.userId;
-    if (db) {
-      // Use Firebase Firestore - filter by userId
-      const itemsSnapshot = await db.collection('items')
-        .where('userId', '==', userId)
-        .get();
-      const items = itemsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      console.log('GET /api/items - Returning', items.length, 'items from Firestore for user:', userId);
-      res.json({ success: true, data: items });
-    } else {
-      // Fallback to mock data
-      const userItems = mockItems.filter(item => item.userId === userId);
-      console.log('GET /api/items - Returning', userItems.length, 'items from mock data for user:', userId);
-      res.json({ success: true, data: userItems });
-    }
+    const items = await store.items.listByUser(userId);
+    console.log('GET /api/items - Returning', items.length, 'items for user:', userId);
+    res.json({ success: true, data: items });
   } catch (error) {
     console.error('Error getting items:', error);
     res.status(500).json({ error: 'Failed to get items' });
@@ -165,62 +407,27 @@ app.get('/api/items', verifyToken, async (req, res) => {
 app.post('/api/items', verifyToken, async (req, res) => {
   try {
     const userId = req.userId;
+    const { items: [validItem], errors } = await prepareNewItems(userId, [req.body]);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors.map(({ index, ...error }) => error));
+    }
     const itemData = {
-      ...req.body,
+      ...validItem,
       userId: userId, // Add userId to item
       createdAt: new Date().toISOString()
     };
-    
-    if (db) {
-      // Use Firebase Firestore
-      const docRef = await db.collection('items').add(itemData);
-      const item = { id: docRef.id, ...itemData };
-      
-      // Create automatic reminder for the item
-      const disposalDate = new Date();
-      disposalDate.setDate(disposalDate.getDate() + itemData.interval);
-      
-      const reminderData = {
-        itemId: docRef.id,
-        itemName: itemData.name,
-        category: itemData.category,
-        userId: userId, // Add userId to reminder
-        dueDate: disposalDate.toISOString(),
-        status: "upcoming",
-        createdAt: new Date().toISOString()
-      };
-      
-      const reminderRef = await db.collection('reminders').add(reminderData);
-      const reminder = { id: reminderRef.id, ...reminderData };
-      
-      console.log('POST /api/items - Added item and reminder to Firestore:', docRef.id, reminderRef.id);
-      res.json({ success: true, data: { item, reminder } });
-    } else {
-      // Fallback to mock data
-      const item = {
-        ...itemData,
-        id: Date.now().toString(36) + Math.random().toString(36).substr(2)
-      };
-      mockItems.push(item);
-      
-      // Create mock reminder
-      const disposalDate = new Date();
-      disposalDate.setDate(disposalDate.getDate() + itemData.interval);
-      
-      const reminder = {
-        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-        itemId: item.id,
-        itemName: itemData.name,
-        category: itemData.category,
-        dueDate: disposalDate.toISOString(),
-        status: "upcoming",
-        createdAt: new Date().toISOString()
-      };
-      mockReminders.push(reminder);
-      
-      console.log('POST /api/items - Added item and reminder to mock data:', item.id, reminder.id);
-      res.json({ success: true, data: { item, reminder } });
-    }
+    const schedule = await getUserSchedule(userId);
+
+    // Save the item and its automatic reminder together
+    const { item, reminder } = await store.transaction(async (tx) => {
+      const item = await tx.items.create(itemData);
+      const reminder = await tx.reminders.create(buildItemReminder(item, itemData.interval, schedule));
+      return { item, reminder };
+    });
+
+    console.log('POST /api/items - Added item and reminder:', item.id, reminder.id);
+    await recordCorrections(userId, [req.body], [item]);
+    res.json({ success: true, data: { item, reminder } });
   } catch (error) {
     console.error('Error saving item:', error);
     res.status(500).json({ error: 'Failed to save item' });
@@ -228,137 +435,354 @@ app.post('/api/items', verifyToken, async (req, res) => {
 });
 
 // Bulk items endpoint
+// Body: { items, receiptId? } - items saved from a scanned receipt link back to it and take
+// its purchase date and currency unless they set their own. Each item may carry
+// receiptItemId (its id in the scan result) to mark which lines were saved.
 app.post('/api/items/bulk', verifyToken, async (req, res) => {
   try {
     const userId = req.userId;
-    const { items } = req.body;
+    const { items, receiptId } = req.body;
     
     if (!items || !Array.isArray(items)) {
       return res.status(400).json({ error: 'Items array is required' });
     }
-    
-    const savedItems = [];
-    const savedReminders = [];
-    
-    if (db) {
-      // Use Firebase Firestore - batch write for better performance
-      const batch = db.batch();
-      
-      for (const itemData of items) {
-        const itemRef = db.collection('items').doc();
-        const itemWithUser = {
-          ...itemData,
-          userId: userId,
-          createdAt: new Date().toISOString()
-        };
-        batch.set(itemRef, itemWithUser);
-        
-        // Create automatic reminder for each item
-        const disposalDate = new Date();
-        disposalDate.setDate(disposalDate.getDate() + (itemData.interval || 7));
-        
-        const reminderRef = db.collection('reminders').doc();
-        const reminderData = {
-          itemId: itemRef.id,
-          itemName: itemData.name,
-          category: itemData.category,
-          userId: userId,
-          dueDate: disposalDate.toISOString(),
-          status: "upcoming",
-          createdAt: new Date().toISOString()
-        };
-        batch.set(reminderRef, reminderData);
-        
-        savedItems.push({ id: itemRef.id, ...itemWithUser });
-        savedReminders.push({ id: reminderRef.id, ...reminderData });
+
+    const { items: validItems, errors } = await prepareNewItems(userId, items);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const schedule = await getUserSchedule(userId);
+
+    // Save all items and reminders in one transaction
+    const result = await store.transaction(async (tx) => {
+      const receipt = receiptId ? await tx.receipts.get(receiptId) : null;
+      if (receiptId && (!receipt || receipt.userId !== userId)) {
+        return { status: 404, error: 'Receipt not found' };
       }
-      
-      await batch.commit();
-      console.log('POST /api/items/bulk - Added', items.length, 'items and reminders to Firestore');
-      res.json({ success: true, data: { items: savedItems, reminders: savedReminders } });
-    } else {
-      // Fallback to mock data
-      for (const itemData of items) {
-        const item = {
+
+      const savedItems = [];
+      const savedReminders = [];
+      for (const itemData of validItems) {
+        const item = await tx.items.create({
+          ...(receipt?.purchaseDate && { purchaseDate: receipt.purchaseDate }),
+          ...(receipt?.currency && { currency: receipt.currency }),
           ...itemData,
-          id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-          userId: userId,
-          createdAt: new Date().toISOString()
-        };
-        mockItems.push(item);
-        
-        const disposalDate = new Date();
-        disposalDate.setDate(disposalDate.getDate() + (itemData.interval || 7));
-        
-        const reminder = {
-          id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-          itemId: item.id,
-          itemName: itemData.name,
-          category: itemData.category,
           userId: userId,
-          dueDate: disposalDate.toISOString(),
-          status: "upcoming",
+          ...(receipt && { receiptId: receipt.id }),
           createdAt: new Date().toISOString()
-        };
-        mockReminders.push(reminder);
-        
+        });
+        const reminder = await tx.reminders.create(buildItemReminder(item, itemData.interval, schedule));
         savedItems.push(item);
         savedReminders.push(reminder);
       }
-      
-      console.log('POST /api/items/bulk - Added', items.length, 'items and reminders to mock data');
-      res.json({ success: true, data: { items: savedItems, reminders: savedReminders } });
+
+      if (receipt) {
+        const savedIdsByReceiptItem = new Map(
+          items.map((payload, index) => [payload?.receiptItemId, savedItems[index].id]).filter(([id]) => id)
+        );
+        await tx.receipts.update(receipt.id, {
+          savedItemIds: [...(receipt.savedItemIds || []), ...savedItems.map(item => item.id)],
+          items: (receipt.items || []).map(line => (
+            savedIdsByReceiptItem.has(line.id) ? { ...line, savedItemId: savedIdsByReceiptItem.get(line.id) } : line
+          )),
+          updatedAt: new Date().toISOString()
+        });
+      }
+      return { savedItems, savedReminders };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+    const { savedItems, savedReminders } = result;
+
+    console.log('POST /api/items/bulk - Added', items.length, 'items and reminders');
+    await recordCorrections(userId, items, savedItems);
+    res.json({ success: true, data: { items: savedItems, reminders: savedReminders } });
   } catch (error) {
     console.error('Error saving bulk items:', error);
     res.status(500).json({ error: 'Failed to save bulk items' });
   }
 });
 
-app.delete('/api/items/:id', async (req, res) => {
+// Deleted items are kept for a restore window so accidental deletes can be undone,
+// then purged for good by the scheduler
+const ITEM_RESTORE_WINDOW_MS = (Number(process.env.ITEM_RESTORE_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// Soft-delete an item and its reminders
+app.delete('/api/items/:id', verifyToken, async (req, res) => {
   try {
+    const userId = req.userId;
     const itemId = req.params.id;
-    
-    if (db) {
-      // Use Firebase Firestore
-      await db.collection('items').doc(itemId).delete();
-      
-      // Also delete associated reminders
-      const remindersSnapshot = await db.collection('reminders')
-        .where('itemId', '==', itemId)
-        .get();
-      
-      const deletePromises = remindersSnapshot.docs.map(doc => doc.ref.delete());
-      await Promise.all(deletePromises);
-      
-      console.log('DELETE /api/items - Removed item and', remindersSnapshot.size, 'reminders from Firestore:', itemId);
-      res.json({ success: true });
-    } else {
-      // Fallback to mock data
-      const index = mockItems.findIndex(item => item.id === itemId);
-      if (index !== -1) {
-        mockItems.splice(index, 1);
-        
-        // Remove associated reminders
-        const reminderIndices = mockReminders
-          .map((reminder, idx) => reminder.itemId === itemId ? idx : -1)
-          .filter(idx => idx !== -1)
-          .reverse(); // Delete from end to avoid index shifting
-        
-        reminderIndices.forEach(idx => mockReminders.splice(idx, 1));
-        
-        console.log('DELETE /api/items - Removed item and', reminderIndices.length, 'reminders from mock data:', itemId);
-        res.json({ success: true });
-      } else {
-        res.status(404).json({ error: 'Item not found' });
+    const deletedAt = new Date().toISOString();
+    const restoreUntil = new Date(Date.now() + ITEM_RESTORE_WINDOW_MS).toISOString();
+
+    const result = await store.transaction(async (tx) => {
+      const item = await tx.items.get(itemId);
+      if (!item || item.deletedAt) {
+        return { status: 404, error: 'Item not found' };
+      }
+      if (item.userId !== userId) {
+        return { status: 403, error: 'Not allowed to delete this item' };
       }
+
+      // Also mark associated reminders as deleted
+      const reminders = await tx.reminders.listByItem(itemId);
+      await tx.items.update(itemId, { deletedAt });
+      for (const reminder of reminders) {
+        await tx.reminders.update(reminder.id, { deletedAt, notifyPending: false });
+      }
+      return { reminderCount: reminders.length };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    console.log('DELETE /api/items - Soft-deleted item and', result.reminderCount, 'reminders:', itemId);
+    res.json({ success: true, data: { id: itemId, deletedAt, restoreUntil } });
   } catch (error) {
     console.error('Error deleting item:', error);
     res.status(500).json({ error: 'Failed to delete item' });
   }
 });
 
+// Undo a delete within the restore window
+app.post('/api/items/:id/restore', verifyToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const itemId = req.params.id;
+
+    const result = await store.transaction(async (tx) => {
+      const item = await tx.items.get(itemId);
+      if (!item) {
+        return { status: 404, error: 'Item not found' };
+      }
+      if (item.userId !== userId) {
+        return { status: 403, error: 'Not allowed to restore this item' };
+      }
+      if (!item.deletedAt) {
+        return { status: 400, error: 'Item is not deleted' };
+      }
+      if (Date.now() - new Date(item.deletedAt).getTime() > ITEM_RESTORE_WINDOW_MS) {
+        return { status: 410, error: 'Restore window has expired' };
+      }
+
+      const reminders = await tx.reminders.listByItem(itemId);
+      await tx.items.update(itemId, { deletedAt: null });
+      for (const reminder of reminders) {
+        await tx.reminders.update(reminder.id, {
+          deletedAt: null,
+          notifyPending: needsNotification({ ...reminder, deletedAt: null })
+        });
+      }
+      return {
+        item: { ...item, deletedAt: null },
+        reminders: reminders.map(reminder => ({ ...reminder, deletedAt: null }))
+      };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('POST /api/items/restore - Restored item and', result.reminders.length, 'reminders:', itemId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+// Permanently remove items (and their reminders) whose restore window has passed
+async function purgeDeletedItems() {
+  const cutoff = new Date(Date.now() - ITEM_RESTORE_WINDOW_MS).toISOString();
+  const expiredItems = await store.items.listDeletedBefore(cutoff);
+
+  for (const item of expiredItems) {
+    const reminders = await store.reminders.listByItem(item.id);
+    await store.batchWrite([
+      { type: 'delete', collection: 'items', id: item.id },
+      ...reminders.map(reminder => ({ type: 'delete', collection: 'reminders', id: reminder.id }))
+    ]);
+  }
+
+  if (expiredItems.length > 0) {
+    console.log('  - Purged', expiredItems.length, 'deleted item(s) past the restore window');
+  }
+  return expiredItems.length;
+}
+
+// Validate an item edit against the shared schema. Recurrence has its own endpoint.
+// Returns { updates } or { errors }.
+const validateItemUpdate = (body) => {
+  const { recurrence, ...fields } = body;
+  const { value: updates, errors } = validateItem(fields, { partial: true });
+  if (errors.length > 0) {
+    return { errors };
+  }
+  if (Object.keys(updates).length === 0) {
+    return { errors: [{ field: null, message: 'Nothing to update. Editable fields: name, quantity, category, interval, confidence, price, currency, purchaseDate' }] };
+  }
+  return { updates };
+};
+
+// Work out the changes an item edit implies for one of its reminders.
+// Name and category are copied to every reminder; a changed interval or purchase date
+// shifts the open first reminder (later occurrences are dated by the recurrence rule, not
+// the interval) and any of those or a changed category snaps open reminders to that
+// category's collection days. Reminders the user snoozed or rescheduled keep their date,
+// as when the collection schedule changes.
+const buildLinkedReminderUpdate = (reminder, item, updates, now, schedule = null) => {
+  const reminderUpdates = {};
+  if (updates.name !== undefined) {
+    reminderUpdates.itemName = updates.name;
+  }
+  if (updates.category !== undefined) {
+    reminderUpdates.category = updates.category;
+  }
+
+  // Open reminders still on the date the item gave them
+  const followsItem = (reminder.status === 'upcoming' || reminder.status === 'overdue')
+    && !reminder.snoozedUntil && !reminder.rescheduledAt;
+  const isFirst = (reminder.occurrence || 1) === 1;
+  const oldInterval = Number(item.interval) || 0;
+  const intervalChanged = isFirst && updates.interval !== undefined && updates.interval !== oldInterval;
+  const categoryChanged = updates.category !== undefined && updates.category !== item.category;
+  const purchaseDateChanged = isFirst && updates.purchaseDate !== undefined && updates.purchaseDate !== item.purchaseDate;
+  if (followsItem && (intervalChanged || categoryChanged || purchaseDateChanged) && reminder.dueDate) {
+    const baseDueDate = new Date(reminder.baseDueDate || reminder.dueDate);
+    if (intervalChanged) {
+      baseDueDate.setDate(baseDueDate.getDate() + updates.interval - oldInterval);
+    }
+    if (purchaseDateChanged) {
+      const createdAt = new Date(item.createdAt || now);
+      const shift = scheduleStart({ purchaseDate: updates.purchaseDate }, createdAt) - scheduleStart(item, createdAt);
+      baseDueDate.setTime(baseDueDate.getTime() + shift);
+    }
+    const dueDate = snapToCollection(baseDueDate, collectionScheduleFor(schedule, updates.category ?? item.category));
+    reminderUpdates.baseDueDate = baseDueDate.toISOString();
+    reminderUpdates.dueDate = dueDate.toISOString();
+    reminderUpdates.status = dueDate <= now ? 'overdue' : 'upcoming';
+    reminderUpdates.notifyPending = reminderUpdates.dueDate !== reminder.notifiedFor;
+  }
+
+  if (Object.keys(reminderUpdates).length > 0) {
+    reminderUpdates.updatedAt = now.toISOString();
+  }
+  return reminderUpdates;
+};
+
+// Edit an item and keep its reminders in sync
+app.patch('/api/items/:id', verifyToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const itemId = req.params.id;
+
+    const { updates, errors } = validateItemUpdate(req.body || {});
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const now = new Date();
+    updates.updatedAt = now.toISOString();
+    const schedule = await getUserSchedule(userId);
+
+    const result = await store.transaction(async (tx) => {
+      const item = await tx.items.get(itemId);
+      if (!item || item.deletedAt) {
+        return { status: 404, error: 'Item not found' };
+      }
+      if (item.userId !== userId) {
+        return { status: 403, error: 'Not allowed to modify this item' };
+      }
+      const linkedReminders = await tx.reminders.listByItem(itemId);
+
+      await tx.items.update(itemId, updates);
+      const reminders = [];
+      for (const reminder of linkedReminders) {
+        const reminderUpdates = buildLinkedReminderUpdate(reminder, item, updates, now, schedule);
+        if (Object.keys(reminderUpdates).length > 0) {
+          await tx.reminders.update(reminder.id, reminderUpdates);
+        }
+        reminders.push({ ...reminder, ...reminderUpdates });
+      }
+      return { item: { ...item, ...updates }, reminders };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('PATCH /api/items - Updated item', itemId, 'and', result.reminders.length, 'linked reminder(s)');
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error updating item:', error);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+// Update, pause or resume an item's recurrence rule
+// Body: { recurrence: { every?, count?, until?, paused? } } merged over the current rule,
+// or { recurrence: null } to stop the series. Resuming a paused series with no open
+// reminder schedules the next occurrence from now.
+app.patch('/api/items/:id/recurrence', verifyToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const itemId = req.params.id;
+
+    if (req.body.recurrence === undefined) {
+      return res.status(400).json({ error: 'recurrence is required' });
+    }
+    const schedule = await getUserSchedule(userId);
+
+    const result = await store.transaction(async (tx) => {
+      const item = await tx.items.get(itemId);
+      if (!item || item.deletedAt) {
+        return { status: 404, error: 'Item not found' };
+      }
+      if (item.userId !== userId) {
+        return { status: 403, error: 'Not allowed to modify this item' };
+      }
+      const itemReminders = await tx.reminders.listByItem(itemId);
+
+      const { recurrence, error } = req.body.recurrence === null
+        ? { recurrence: null }
+        : normalizeRecurrence({ ...item.recurrence, ...req.body.recurrence }, item.interval);
+      if (error) {
+        return { status: 400, error };
+      }
+
+      const updatedItem = { ...item, recurrence };
+      await tx.items.update(itemId, { recurrence });
+
+      // Schedule the next occurrence when resuming a series that has nothing pending
+      let nextReminder = null;
+      const resumed = item.recurrence?.paused && recurrence && !recurrence.paused;
+      const hasOpenReminder = itemReminders.some(r => r.status === 'upcoming' || r.status === 'overdue');
+      if (resumed && !hasOpenReminder) {
+        const lastOccurrence = Math.max(0, ...itemReminders.map(r => r.occurrence || 1));
+        const nextData = buildNextOccurrence(updatedItem, { itemId, userId, occurrence: lastOccurrence }, new Date(), schedule);
+        if (nextData) {
+          nextReminder = await tx.reminders.create(nextData);
+        }
+      }
+      return { item: updatedItem, nextReminder };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { recurrence } = result.item;
+    console.log('PATCH /api/items/recurrence - Updated recurrence for item:', itemId, recurrence ? (recurrence.paused ? '(paused)' : '(active)') : '(stopped)');
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error updating item recurrence:', error);
+    res.status(500).json({ error: 'Failed to update item recurrence' });
+  }
+});
+
 // Authentication middleware - verify Firebase ID token
 async function verifyToken(req, res, next) {
   try {
@@ -382,281 +806,1265 @@ async function verifyToken(req, res, next) {
   }
 }
 
+// Like verifyToken, but lets requests without a token through anonymously
+function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return verifyToken(req, res, next);
+}
+
+// Admin-only routes - use after verifyToken. Admins carry the "admin" custom claim.
+function requireAdmin(req, res, next) {
+  if (req.user?.admin !== true) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
 // Reminders API endpoints
 app.get('/api/reminders', verifyToken, async (req, res) => {
   try {
     const userId = req.userId;
-    if (db) {
-      // Use Firebase Firestore - filter by userId
-      const remindersSnapshot = await db.collection('reminders')
-        .where('userId', '==', userId)
-        .get();
-      const reminders = remindersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      console.log('GET /api/reminders - Returning', reminders.length, 'reminders from Firestore for user:', userId);
-      res.json({ success: true, data: reminders });
-    } else {
-      // Fallback to mock data
-      const userReminders = mockReminders.filter(reminder => reminder.userId === userId);
-      console.log('GET /api/reminders - Returning', userReminders.length, 'reminders from mock data for user:', userId);
-      res.json({ success: true, data: userReminders });
-    }
+    const reminders = await store.reminders.listByUser(userId);
+    console.log('GET /api/reminders - Returning', reminders.length, 'reminders for user:', userId);
+    res.json({ success: true, data: reminders });
   } catch (error) {
     console.error('Error getting reminders:', error);
     res.status(500).json({ error: 'Failed to get reminders' });
   }
 });
 
-// FCM Token Registration endpoint
-app.post('/api/fcm/register', verifyToken, async (req, res) => {
-  try {
-    const { token } = req.body;
-    const userId = req.userId;
+// Snooze durations are given as "<number><unit>", e.g. "30m", "2h", "1d"
+const SNOOZE_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
 
-    if (!token) {
-      return res.status(400).json({ error: 'FCM token is required' });
+const parseSnoozeDuration = (duration) => {
+  const match = /^(\d+)\s*([mhd])$/.exec(String(duration || '').trim());
+  if (!match || Number(match[1]) <= 0) {
+    return null;
+  }
+  return Number(match[1]) * SNOOZE_UNITS_MS[match[2]];
+};
+
+// Build the field updates for a reminder lifecycle action (complete, snooze, reschedule).
+// Returns { updates } on success or { error, status } if the request is invalid.
+// Completed reminders are final: for recurring items completing already created the
+// next occurrence, so reopening one would fork the series.
+const buildReminderUpdate = (reminder, body) => {
+  const { action } = body || {};
+  const now = new Date();
+
+  if (reminder.status === 'completed') {
+    return { status: 409, error: 'Reminder is already completed' };
+  }
+
+  switch (action) {
+    case 'complete':
+      return {
+        updates: {
+          status: 'completed',
+          completedAt: now.toISOString(),
+          notifyPending: false,
+          updatedAt: now.toISOString()
+        }
+      };
+    case 'snooze': {
+      const durationMs = parseSnoozeDuration(body.duration);
+      if (!durationMs) {
+        return { error: 'Snooze requires a duration such as "30m", "2h" or "1d"' };
+      }
+      const snoozedUntil = new Date(now.getTime() + durationMs).toISOString();
+      return {
+        updates: {
+          status: 'upcoming',
+          dueDate: snoozedUntil,
+          snoozedUntil,
+          snoozeCount: (reminder.snoozeCount || 0) + 1,
+          notifyPending: true,
+          updatedAt: now.toISOString()
+        }
+      };
+    }
+    case 'reschedule': {
+      const dueDate = new Date(body.dueDate);
+      if (!body.dueDate || isNaN(dueDate.getTime())) {
+        return { error: 'Reschedule requires a valid dueDate' };
+      }
+      return {
+        updates: {
+          status: dueDate <= now ? 'overdue' : 'upcoming',
+          dueDate: dueDate.toISOString(),
+          // A date the user picked is kept as-is and anchors the rest of the series
+          baseDueDate: dueDate.toISOString(),
+          rescheduledAt: now.toISOString(),
+          snoozedUntil: null,
+          completedAt: null,
+          notifyPending: true,
+          updatedAt: now.toISOString()
+        }
+      };
     }
+    default:
+      return { error: 'Action must be one of: complete, snooze, reschedule' };
+  }
+};
 
-    if (!db) {
-      console.log('POST /api/fcm/register - Firebase not available, skipping token registration');
-      return res.json({ success: true, message: 'Token registration skipped (mock mode)' });
+// Apply a lifecycle action to a single reminder owned by userId.
+// Completing a reminder of a recurring item also creates the next occurrence in the series.
+// schedule: the user's collection schedule (getUserSchedule) for the next occurrence.
+// Returns { reminder, nextReminder } on success or { status, error } on failure.
+async function updateReminder(userId, reminderId, body, schedule = null) {
+  return store.transaction(async (tx) => {
+    const reminder = await tx.reminders.get(reminderId);
+    if (!reminder || reminder.deletedAt) {
+      return { status: 404, error: 'Reminder not found' };
+    }
+    if (reminder.userId !== userId) {
+      return { status: 403, error: 'Not allowed to modify this reminder' };
+    }
+    const { updates, error, status = 400 } = buildReminderUpdate(reminder, body);
+    if (error) {
+      return { status, error };
     }
 
-    // Store token in Firestore: fcm_tokens/{userId}/tokens/{tokenId}
-    // Use the token itself as the document ID (or hash it) to prevent duplicates
-    const tokenDoc = {
-      token,
-      userId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      deviceInfo: req.headers['user-agent'] || 'unknown',
-    };
+    // Transactions require all reads before writes, so load the item and its reminders
+    // up front
+    let item = null;
+    let itemReminders = [];
+    if (updates.status === 'completed' && reminder.itemId) {
+      item = await tx.items.get(reminder.itemId);
+      itemReminders = await tx.reminders.listByItem(reminder.itemId);
+    }
 
-    // Check if token already exists for this user
-    const tokensRef = db.collection('fcm_tokens').doc(userId).collection('tokens');
-    const existingTokens = await tokensRef.where('token', '==', token).get();
+    await tx.reminders.update(reminderId, updates);
 
-    if (!existingTokens.empty) {
-      // Update existing token
-      const existingDoc = existingTokens.docs[0];
-      await existingDoc.ref.update({
-        updatedAt: new Date().toISOString(),
-        deviceInfo: tokenDoc.deviceInfo,
-      });
-      console.log('PUT /api/fcm/register - Updated existing token for user:', userId);
-      return res.json({ success: true, message: 'Token updated' });
-    } else {
-      // Add new token
-      await tokensRef.add(tokenDoc);
-      console.log('POST /api/fcm/register - Registered new token for user:', userId);
-      return res.json({ success: true, message: 'Token registered' });
+    let nextReminder = null;
+    const nextData = item && buildNextOccurrence(item, reminder, undefined, schedule);
+    // The next occurrence may already exist, e.g. for data written before completed
+    // reminders became final
+    if (nextData && !itemReminders.some(other => other.occurrence === nextData.occurrence && !other.deletedAt)) {
+      nextReminder = await tx.reminders.create(nextData);
     }
-  } catch (error) {
-    console.error('Error registering FCM token:', error);
-    res.status(500).json({ error: 'Failed to register FCM token' });
-  }
-});
+    return { reminder: { ...reminder, ...updates }, nextReminder };
+  });
+}
 
-// Settings API endpoints
-app.get('/api/settings/city', async (req, res) => {
+// Bulk reminder lifecycle endpoint - same actions applied to several reminders
+// Must be registered before /api/reminders/:id so "bulk" is not treated as an id
+app.patch('/api/reminders/bulk', verifyToken, async (req, res) => {
   try {
-    if (db) {
-      // Use Firebase Firestore
-      const settingsDoc = await db.collection('settings').doc('user').get();
-      const city = settingsDoc.exists ? settingsDoc.data().city || '' : '';
-      console.log('GET /api/settings/city - Returning city from Firestore:', city);
-      res.json({ success: true, data: city });
-    } else {
-      // Fallback to mock data
-      console.log('GET /api/settings/city - Returning city from mock data:', mockSettings.city);
-      res.json({ success: true, data: mockSettings.city });
-    }
+    const userId = req.userId;
+    const { ids, ...actionBody } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Reminder ids array is required' });
+    }
+    const schedule = await getUserSchedule(userId);
+
+    const updated = [];
+    const nextReminders = [];
+    const failed = [];
+    for (const reminderId of ids) {
+      const result = await updateReminder(userId, reminderId, actionBody, schedule);
+      if (result.error) {
+        failed.push({ id: reminderId, error: result.error });
+      } else {
+        updated.push(result.reminder);
+        if (result.nextReminder) {
+          nextReminders.push(result.nextReminder);
+        }
+      }
+    }
+
+    console.log('PATCH /api/reminders/bulk -', actionBody.action, '- updated:', updated.length, 'failed:', failed.length);
+    res.json({ success: failed.length === 0, data: { reminders: updated, nextReminders, failed } });
+  } catch (error) {
+    console.error('Error updating reminders:', error);
+    res.status(500).json({ error: 'Failed to update reminders' });
+  }
+});
+
+app.patch('/api/reminders/:id', verifyToken, async (req, res) => {
+  try {
+    const schedule = await getUserSchedule(req.userId);
+    const result = await updateReminder(req.userId, req.params.id, req.body, schedule);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log('PATCH /api/reminders -', req.body.action, 'reminder:', req.params.id);
+    res.json({ success: true, data: result.reminder, nextReminder: result.nextReminder });
+  } catch (error) {
+    console.error('Error updating reminder:', error);
+    res.status(500).json({ error: 'Failed to update reminder' });
+  }
+});
+
+// Move reminders whose due date has passed from "upcoming" to "overdue"
+async function markOverdueReminders() {
+  const nowIso = new Date().toISOString();
+  let marked = 0;
+
+  // Page through in due order; reminders marked overdue drop out of the query, but the
+  // cursor still points past them
+  let cursor = null;
+  do {
+    const page = await store.reminders.listDuePage(nowIso, {
+      statuses: ['upcoming'],
+      limit: REMINDER_SCAN_PAGE_SIZE,
+      startAfter: cursor
+    });
+    cursor = page.cursor;
+
+    await store.batchWrite(page.reminders.map(reminder => ({
+      type: 'update',
+      collection: 'reminders',
+      id: reminder.id,
+      data: { status: 'overdue', updatedAt: nowIso }
+    })));
+    marked += page.reminders.length;
+  } while (cursor);
+
+  if (marked > 0) {
+    console.log('  - Marked', marked, 'reminder(s) as overdue');
+  }
+  return marked;
+}
+
+// FCM Token Registration endpoint
+app.post('/api/fcm/register', verifyToken, async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userId = req.userId;
+
+    if (!token) {
+      return res.status(400).json({ error: 'FCM token is required' });
+    }
+
+    // Stored as fcm_tokens/{userId}/tokens/{tokenId}
+    const tokenDoc = {
+      token,
+      userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      deviceInfo: req.headers['user-agent'] || 'unknown',
+    };
+
+    // Check if token already exists for this user
+    const existingToken = await store.tokens.findByToken(userId, token);
+
+    if (existingToken) {
+      // Update existing token
+      await store.tokens.update(userId, existingToken.id, {
+        updatedAt: new Date().toISOString(),
+        deviceInfo: tokenDoc.deviceInfo,
+      });
+      console.log('PUT /api/fcm/register - Updated existing token for user:', userId);
+      return res.json({ success: true, message: 'Token updated' });
+    } else {
+      // Add new token
+      await store.tokens.create(userId, tokenDoc);
+      console.log('POST /api/fcm/register - Registered new token for user:', userId);
+      return res.json({ success: true, message: 'Token registered' });
+    }
+  } catch (error) {
+    console.error('Error registering FCM token:', error);
+    res.status(500).json({ error: 'Failed to register FCM token' });
+  }
+});
+
+// Settings API endpoints
+// Settings are stored per user in user_settings/{userId}. Older deployments kept a single
+// shared settings/user document; its values seed a user's settings on first access.
+const DEFAULT_USER_SETTINGS = {
+  city: '',
+  onboarding: false,
+  timezone: 'Asia/Kolkata',
+  locale: 'en-IN',
+  notifications: DEFAULT_NOTIFICATION_SETTINGS,
+  defaultIntervals: {
+    dry: 7,
+    wet: 1,
+    recyclable: 7,
+    hazardous: 30,
+    medical: 14,
+    'e-waste': 30
+  }
+};
+
+const isValidLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+};
+
+// Validate a partial settings update. Returns { updates } or { error }.
+const validateSettingsUpdate = (body) => {
+  const updates = {};
+
+  if (body.city !== undefined) {
+    if (typeof body.city !== 'string') {
+      return { error: 'city must be a string' };
+    }
+    updates.city = body.city.trim();
+  }
+  if (body.onboarding !== undefined) {
+    updates.onboarding = body.onboarding === true;
+  }
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone)) {
+      return { error: 'timezone must be a valid IANA timezone, e.g. "Asia/Kolkata"' };
+    }
+    updates.timezone = body.timezone;
+  }
+  if (body.locale !== undefined) {
+    if (typeof body.locale !== 'string' || !isValidLocale(body.locale)) {
+      return { error: 'locale must be a valid BCP 47 language tag, e.g. "en-IN"' };
+    }
+    updates.locale = Intl.getCanonicalLocales(body.locale)[0];
+  }
+  if (body.notifications !== undefined) {
+    const { value, error } = validateNotificationSettings(body.notifications);
+    if (error) {
+      return { error };
+    }
+    updates.notifications = value;
+  }
+  if (body.defaultIntervals !== undefined) {
+    if (!body.defaultIntervals || typeof body.defaultIntervals !== 'object') {
+      return { error: 'defaultIntervals must be an object' };
+    }
+    for (const [category, days] of Object.entries(body.defaultIntervals)) {
+      if (!WASTE_CATEGORIES.includes(category)) {
+        return { error: `defaultIntervals has unknown category: ${category}` };
+      }
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return { error: `defaultIntervals.${category} must be a whole number of days between 1 and 365` };
+      }
+    }
+    updates.defaultIntervals = body.defaultIntervals;
+  }
+
+  return { updates };
+};
+
+// Merge stored settings over the defaults so newly added fields always have a value
+const withDefaultSettings = (stored = {}) => ({
+  ...DEFAULT_USER_SETTINGS,
+  ...stored,
+  notifications: { ...DEFAULT_USER_SETTINGS.notifications, ...stored.notifications },
+  defaultIntervals: { ...DEFAULT_USER_SETTINGS.defaultIntervals, ...stored.defaultIntervals }
+});
+
+// Load a user's settings, creating them on first access. The legacy shared document
+// belonged to the app's single pre-accounts user: the first user to load settings claims
+// it (marked with migratedTo in the same transaction) and everyone else starts fresh.
+async function getUserSettings(userId) {
+  const stored = await store.settings.get(userId);
+  if (stored) {
+    const { id, ...settings } = stored;
+    return withDefaultSettings(settings);
+  }
+
+  const settings = await store.transaction(async (tx) => {
+    const existing = await tx.settings.get(userId);
+    if (existing) {
+      const { id, ...settings } = existing;
+      return settings;
+    }
+    const legacy = await tx.settings.getLegacy();
+    const claimable = legacy && !legacy.migratedTo;
+    const now = new Date().toISOString();
+    const created = {
+      city: claimable ? legacy.city || '' : '',
+      onboarding: claimable ? legacy.onboarding || false : false,
+      createdAt: now,
+      updatedAt: now,
+      ...(claimable && { migratedFrom: 'settings/user' })
+    };
+    await tx.settings.set(userId, created);
+    if (claimable) {
+      await tx.settings.markLegacyMigrated({ migratedTo: userId, migratedAt: now });
+    }
+    console.log('  - Created settings for user:', userId, claimable ? '(migrated from settings/user)' : '');
+    return created;
+  });
+  return withDefaultSettings(settings);
+}
+
+// Apply validated updates to a user's settings and return the full result
+async function updateUserSettings(userId, updates) {
+  const current = await getUserSettings(userId);
+  const merged = withDefaultSettings({
+    ...current,
+    ...updates,
+    notifications: { ...current.notifications, ...updates.notifications },
+    defaultIntervals: { ...current.defaultIntervals, ...updates.defaultIntervals },
+    updatedAt: new Date().toISOString()
+  });
+
+  await store.settings.set(userId, merged);
+
+  // Due dates depend on the city's collection days and the user's timezone
+  if (merged.city !== current.city || merged.timezone !== current.timezone) {
+    const rescheduled = await rescheduleOpenReminders(userId, merged);
+    console.log('  - Rescheduled', rescheduled, 'open reminder(s) for user:', userId);
+  }
+  return merged;
+}
+
+// Scheduling context for a user's reminders: their timezone and their city's rules
+async function getUserSchedule(userId, settings = null) {
+  const { city, timezone } = settings || await getUserSettings(userId);
+  return { timezone, city: await cityRules.resolve(city) };
+}
+
+// Re-snap the user's open reminders to their current collection calendar.
+// Snoozed and manually rescheduled reminders keep the date the user chose.
+// Returns the number of reminders moved.
+async function rescheduleOpenReminders(userId, settings) {
+  const schedule = await getUserSchedule(userId, settings);
+  const reminders = await store.reminders.listByUser(userId);
+  const now = new Date();
+
+  const writes = [];
+  for (const reminder of reminders) {
+    const isOpen = reminder.status === 'upcoming' || reminder.status === 'overdue';
+    if (!isOpen || !reminder.dueDate || reminder.snoozedUntil || reminder.rescheduledAt) {
+      continue;
+    }
+    const baseDueDate = reminder.baseDueDate || reminder.dueDate;
+    const dueDate = snapToCollection(baseDueDate, collectionScheduleFor(schedule, reminder.category));
+    if (dueDate.toISOString() === reminder.dueDate) {
+      continue;
+    }
+    writes.push({
+      type: 'update',
+      collection: 'reminders',
+      id: reminder.id,
+      data: {
+        dueDate: dueDate.toISOString(),
+        baseDueDate,
+        status: dueDate <= now ? 'overdue' : 'upcoming',
+        notifyPending: dueDate.toISOString() !== reminder.notifiedFor,
+        updatedAt: now.toISOString()
+      }
+    });
+  }
+
+  if (writes.length > 0) {
+    await store.batchWrite(writes);
+  }
+  return writes.length;
+}
+
+app.get('/api/settings', verifyToken, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.userId);
+    console.log('GET /api/settings - Returning settings for user:', req.userId);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Error getting settings:', error);
+    res.status(500).json({ error: 'Failed to get settings' });
+  }
+});
+
+app.patch('/api/settings', verifyToken, async (req, res) => {
+  try {
+    const { updates, error } = validateSettingsUpdate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const settings = await updateUserSettings(req.userId, updates);
+    console.log('PATCH /api/settings - Updated', Object.keys(updates).join(', ') || 'nothing', 'for user:', req.userId);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+app.get('/api/settings/city', verifyToken, async (req, res) => {
+  try {
+    const { city } = await getUserSettings(req.userId);
+    console.log('GET /api/settings/city - Returning city for user:', req.userId, city);
+    res.json({ success: true, data: city });
   } catch (error) {
     console.error('Error getting city:', error);
     res.status(500).json({ error: 'Failed to get city' });
   }
 });
 
-app.put('/api/settings/city', async (req, res) => {
+app.put('/api/settings/city', verifyToken, async (req, res) => {
   try {
-    const city = req.body.city || '';
-    
-    if (db) {
-      // Use Firebase Firestore
-      await db.collection('settings').doc('user').set({ city }, { merge: true });
-      console.log('PUT /api/settings/city - Set city in Firestore:', city);
-      res.json({ success: true, data: { city } });
-    } else {
-      // Fallback to mock data
-      mockSettings.city = city;
-      console.log('PUT /api/settings/city - Set city in mock data:', city);
-      res.json({ success: true, data: { city } });
+    const { updates, error } = validateSettingsUpdate({ city: req.body.city || '' });
+    if (error) {
+      return res.status(400).json({ error });
     }
+    const { city } = await updateUserSettings(req.userId, updates);
+    console.log('PUT /api/settings/city - Set city for user:', req.userId, city);
+    res.json({ success: true, data: { city } });
   } catch (error) {
     console.error('Error setting city:', error);
     res.status(500).json({ error: 'Failed to set city' });
   }
 });
 
-app.get('/api/settings/onboarding', async (req, res) => {
+app.get('/api/settings/onboarding', verifyToken, async (req, res) => {
   try {
-    if (db) {
-      // Use Firebase Firestore
-      const settingsDoc = await db.collection('settings').doc('user').get();
-      const onboarding = settingsDoc.exists ? settingsDoc.data().onboarding || false : false;
-      console.log('GET /api/settings/onboarding - Returning from Firestore:', onboarding);
-      res.json({ success: true, data: onboarding });
-    } else {
-      // Fallback to mock data
-      console.log('GET /api/settings/onboarding - Returning from mock data:', mockSettings.onboarding);
-      res.json({ success: true, data: mockSettings.onboarding });
-    }
+    const { onboarding } = await getUserSettings(req.userId);
+    console.log('GET /api/settings/onboarding - Returning for user:', req.userId, onboarding);
+    res.json({ success: true, data: onboarding });
   } catch (error) {
     console.error('Error getting onboarding status:', error);
     res.status(500).json({ error: 'Failed to get onboarding status' });
   }
 });
 
-app.put('/api/settings/onboarding', async (req, res) => {
+app.put('/api/settings/onboarding', verifyToken, async (req, res) => {
   try {
-    const onboarding = req.body.completed || false;
-    
-    if (db) {
-      // Use Firebase Firestore
-      await db.collection('settings').doc('user').set({ onboarding }, { merge: true });
-      console.log('PUT /api/settings/onboarding - Set in Firestore:', onboarding);
-      res.json({ success: true, data: { onboarding } });
-    } else {
-      // Fallback to mock data
-      mockSettings.onboarding = onboarding;
-      console.log('PUT /api/settings/onboarding - Set in mock data:', onboarding);
-      res.json({ success: true, data: { onboarding } });
-    }
+    const { onboarding } = await updateUserSettings(req.userId, { onboarding: Boolean(req.body.completed) });
+    console.log('PUT /api/settings/onboarding - Set for user:', req.userId, onboarding);
+    res.json({ success: true, data: { onboarding } });
   } catch (error) {
     console.error('Error setting onboarding status:', error);
     res.status(500).json({ error: 'Failed to set onboarding status' });
   }
 });
 
-// Main OCR processing endpoint - NO AUTH for simplicity
-app.post('/api/process-receipt', upload.single('image'), async (req, res) => {
+// City rules API - public so the client can show bins and collection days
+app.get('/api/cities', async (req, res) => {
+  try {
+    const cities = await cityRules.list();
+    res.json({ success: true, data: cities });
+  } catch (error) {
+    console.error('Error listing cities:', error);
+    res.status(500).json({ error: 'Failed to list cities' });
+  }
+});
+
+// Accepts the id, name or an alias, as everywhere else a city is given
+app.get('/api/cities/:id', async (req, res) => {
+  try {
+    const city = await cityRules.resolve(req.params.id);
+    if (!city) {
+      return res.status(404).json({ error: 'City not found' });
+    }
+    res.json({ success: true, data: city });
+  } catch (error) {
+    console.error('Error getting city rules:', error);
+    res.status(500).json({ error: 'Failed to get city' });
+  }
+});
+
+// Create or replace a city's rules
+app.put('/api/cities/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const id = String(req.params.id).toLowerCase();
+    if (!CITY_ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'City id must be 2-50 lowercase letters, digits or dashes' });
+    }
+    const { value, errors } = validateCity(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const city = await cityRules.save(id, value);
+    console.log('🏙️  City rules saved:', id, 'by', req.userId);
+    res.json({ success: true, data: city });
+  } catch (error) {
+    console.error('Error saving city rules:', error);
+    res.status(500).json({ error: 'Failed to save city' });
+  }
+});
+
+// Learned correction rules
+app.get('/api/corrections', verifyToken, async (req, res) => {
+  try {
+    const rules = await corrections.listForUser(req.userId);
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error listing corrections:', error);
+    res.status(500).json({ error: 'Failed to list corrections' });
+  }
+});
+
+// Registered before /api/corrections/:id so "global" is not treated as an id
+app.get('/api/corrections/global', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const rules = await corrections.listGlobal();
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error listing global corrections:', error);
+    res.status(500).json({ error: 'Failed to list global corrections' });
+  }
+});
+
+app.delete('/api/corrections/global/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    if (!await corrections.deleteGlobal(req.params.id)) {
+      return res.status(404).json({ error: 'Correction rule not found' });
+    }
+    console.log('🧹 Global correction rule deleted:', req.params.id, 'by', req.userId);
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    console.error('Error deleting global correction:', error);
+    res.status(500).json({ error: 'Failed to delete correction rule' });
+  }
+});
+
+app.delete('/api/corrections/:id', verifyToken, async (req, res) => {
+  try {
+    if (!await corrections.deleteForUser(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Correction rule not found' });
+    }
+    console.log('DELETE /api/corrections - Deleted rule', req.params.id, 'for user:', req.userId);
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    console.error('Error deleting correction:', error);
+    res.status(500).json({ error: 'Failed to delete correction rule' });
+  }
+});
+
+// Receipt history API endpoints
+app.get('/api/receipts', verifyToken, async (req, res) => {
+  try {
+    const receipts = await store.receipts.listByUser(req.userId);
+    const summaries = receipts
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+      .map(({ items, rejected, ...receipt }) => ({
+        ...receipt,
+        itemCount: items?.length || 0,
+        savedCount: receipt.savedItemIds?.length || 0
+      }));
+    console.log('GET /api/receipts - Returning', summaries.length, 'receipts for user:', req.userId);
+    res.json({ success: true, data: summaries });
+  } catch (error) {
+    console.error('Error listing receipts:', error);
+    res.status(500).json({ error: 'Failed to list receipts' });
+  }
+});
+
+app.get('/api/receipts/:id', verifyToken, async (req, res) => {
+  try {
+    const receipt = await store.receipts.get(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    if (receipt.userId !== req.userId) {
+      return res.status(403).json({ error: 'Not allowed to view this receipt' });
+    }
+    res.json({ success: true, data: receipt });
+  } catch (error) {
+    console.error('Error getting receipt:', error);
+    res.status(500).json({ error: 'Failed to get receipt' });
+  }
+});
+
+app.get('/api/receipts/:id/thumbnail', verifyToken, async (req, res) => {
+  try {
+    const thumbnail = await store.receiptThumbnails.get(req.params.id);
+    if (!thumbnail) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    if (thumbnail.userId !== req.userId) {
+      return res.status(403).json({ error: 'Not allowed to view this receipt' });
+    }
+    res.type(thumbnail.mimetype).send(Buffer.from(thumbnail.data, 'base64'));
+  } catch (error) {
+    console.error('Error getting receipt thumbnail:', error);
+    res.status(500).json({ error: 'Failed to get thumbnail' });
+  }
+});
+
+// Waste analytics: per-category counts and volumes, disposal rates and trends.
+// Query: window=week|month|custom (from, to for custom), bucket=day|week|month.
+// Periods are whole days in the user's timezone.
+app.get('/api/stats', verifyToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { timezone } = await getUserSettings(userId);
+    const { window, error } = resolveStatsWindow(req.query, { timezone });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const data = await stats.forUser(userId, window);
+    console.log('GET /api/stats -', window.type, 'window,', data.totals.items, 'items for user:', userId);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error computing stats:', error);
+    res.status(500).json({ error: 'Failed to compute stats' });
+  }
+});
+
+// Calendar subscription API
+const calendarFeedUrls = (req, token) => {
+  const url = `${PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+app.get('/api/calendar', verifyToken, async (req, res) => {
+  try {
+    const feed = await calendarFeeds.status(req.userId);
+    res.json({ success: true, data: { active: Boolean(feed), createdAt: feed?.createdAt || null } });
+  } catch (error) {
+    console.error('Error getting calendar feed:', error);
+    res.status(500).json({ error: 'Failed to get calendar feed' });
+  }
+});
+
+// Create the feed URL, or replace it - the previous URL stops working.
+// The token is only ever shown in this response.
+app.post('/api/calendar/token', verifyToken, async (req, res) => {
+  try {
+    const { token, createdAt } = await calendarFeeds.rotate(req.userId);
+    console.log('POST /api/calendar/token - Issued calendar feed for user:', req.userId);
+    res.json({ success: true, data: { ...calendarFeedUrls(req, token), createdAt } });
+  } catch (error) {
+    console.error('Error issuing calendar feed:', error);
+    res.status(500).json({ error: 'Failed to issue calendar feed' });
+  }
+});
+
+app.delete('/api/calendar/token', verifyToken, async (req, res) => {
+  try {
+    if (!await calendarFeeds.revoke(req.userId)) {
+      return res.status(404).json({ error: 'No calendar feed to revoke' });
+    }
+    console.log('DELETE /api/calendar/token - Revoked calendar feed for user:', req.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// The feed itself. Calendar apps cannot send auth headers, so the token in the URL is
+// the credential. Built on every request so it follows reminder changes.
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const userId = await calendarFeeds.resolve(req.params.token);
+    if (!userId) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+    const [reminders, schedule] = await Promise.all([
+      store.reminders.listByUser(userId),
+      getUserSchedule(userId)
+    ]);
+    const bins = Object.fromEntries(
+      Object.entries(schedule.city?.categories || {}).map(([category, rule]) => [category, rule?.bin]).filter(([, bin]) => bin)
+    );
+
+    res.set('Cache-Control', 'private, no-cache');
+    res.type('text/calendar; charset=utf-8').send(buildReminderCalendar(reminders, { bins }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Export items and reminders.
+// Query: format=json (both, default) or format=csv with type=items|reminders.
+app.get('/api/export', verifyToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const format = req.query.format || 'json';
+    const type = req.query.type;
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+    if (format === 'csv' && !EXPORT_COLUMNS[type]) {
+      return res.status(400).json({ error: `CSV export needs type: ${Object.keys(EXPORT_COLUMNS).join(' or ')}` });
+    }
+    if (type !== undefined && !EXPORT_COLUMNS[type]) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(EXPORT_COLUMNS).join(', ')}` });
+    }
+
+    const [items, reminders] = await Promise.all([
+      type === 'reminders' ? [] : store.items.listByUser(userId),
+      type === 'items' ? [] : store.reminders.listByUser(userId)
+    ]);
+    const exportedAt = new Date().toISOString();
+    const filename = `cleansort-${type || 'export'}-${exportedAt.slice(0, 10)}.${format}`;
+    console.log('GET /api/export -', format, type || 'all', 'for user:', userId);
+
+    res.attachment(filename);
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(toCsv(type, type === 'items' ? items : reminders));
+    }
+    res.json({
+      exportedAt,
+      ...(type !== 'reminders' && { items }),
+      ...(type !== 'items' && { reminders })
+    });
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Notification history, newest first.
+// Query: limit (default 50, max 200), before (the nextCursor of the previous page),
+// includeDismissed=true to also list dismissed notifications.
+app.get('/api/notifications', verifyToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const includeDismissed = req.query.includeDismissed === 'true';
+    const before = typeof req.query.before === 'string' ? req.query.before : null;
+
+    const records = await store.notifications.listByUser(userId);
+    const visible = records
+      .filter(record => includeDismissed || !record.dismissedAt)
+      .filter(record => !before || record.createdAt < before)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const page = visible.slice(0, limit);
+
+    console.log('GET /api/notifications - Returning', page.length, 'notification(s) for user:', userId);
+    res.json({
+      success: true,
+      data: page.map(toNotificationSummary),
+      unreadCount: records.filter(record => !record.readAt && !record.dismissedAt).length,
+      nextCursor: visible.length > limit ? page[page.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Mark a notification read/unread or dismissed. Body: { read?: boolean, dismissed?: boolean }
+app.patch('/api/notifications/:id', verifyToken, async (req, res) => {
+  try {
+    const { read, dismissed } = req.body || {};
+    if ((read !== undefined && typeof read !== 'boolean') || (dismissed !== undefined && typeof dismissed !== 'boolean')) {
+      return res.status(400).json({ error: 'read and dismissed must be booleans' });
+    }
+    if (read === undefined && dismissed === undefined) {
+      return res.status(400).json({ error: 'Nothing to update. Send read and/or dismissed' });
+    }
+
+    const record = await store.notifications.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    if (record.userId !== req.userId) {
+      return res.status(403).json({ error: 'Not allowed to modify this notification' });
+    }
+
+    const now = new Date().toISOString();
+    const updates = { updatedAt: now };
+    if (read !== undefined) {
+      updates.readAt = read ? record.readAt || now : null;
+    }
+    if (dismissed !== undefined) {
+      updates.dismissedAt = dismissed ? record.dismissedAt || now : null;
+    }
+    await store.notifications.update(record.id, updates);
+
+    console.log('PATCH /api/notifications - Updated notification:', record.id);
+    res.json({ success: true, data: toNotificationSummary({ ...record, ...updates }) });
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+// Mock OCR results are only ever returned in development, and only when opted into
+const OCR_MOCK_FALLBACK = process.env.OCR_MOCK_FALLBACK === 'true' && process.env.NODE_ENV !== 'production';
+
+// Extraction results are cached by receipt content; ?force=true reprocesses
+const OCR_CACHE_TTL_MS = (Number(process.env.OCR_CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+const OCR_CACHE_MAX_ENTRIES = Number(process.env.OCR_CACHE_MAX_ENTRIES) || 1000;
+const receiptCache = createReceiptCache(store, { ttlMs: OCR_CACHE_TTL_MS, maxEntries: OCR_CACHE_MAX_ENTRIES });
+
+// Receipt scans are limited per minute and per UTC day: per user when signed in
+// (SCAN_USER_PER_MINUTE, SCAN_USER_DAILY_LIMIT) and per IP for anonymous scans
+// (SCAN_IP_PER_MINUTE, ANONYMOUS_DAILY_SCANS); without an anonymous allowance scanning
+// requires sign-in.
+const scanQuotas = createScanQuotas(store, {
+  userPerMinute: Number(process.env.SCAN_USER_PER_MINUTE) || 5,
+  ipPerMinute: Number(process.env.SCAN_IP_PER_MINUTE) || 10,
+  userDailyLimit: Number(process.env.SCAN_USER_DAILY_LIMIT) || 50,
+  anonymousDailyLimit: Number(process.env.ANONYMOUS_DAILY_SCANS) || 0
+});
+
+// Reply with mock items when the development fallback is enabled, otherwise with an explicit error
+const sendExtractionFailure = (res, status, error, { code = 'EXTRACTION_FAILED', details } = {}) => {
+  if (OCR_MOCK_FALLBACK) {
+    const mockData = getMockResults();
+    console.log('  - OCR_MOCK_FALLBACK enabled, returning', mockData.length, 'mock items');
+    return res.json({
+      success: true,
+      items: mockData,
+      count: mockData.length,
+      fallback: true,
+      error
+    });
+  }
+  res.status(status).json({
+    success: false,
+    error,
+    code,
+    ...(details && { details })
+  });
+};
+
+const MERCHANT_MAX_LENGTH = 100;
+
+// Check the merchant, purchase date and currency an extraction found, dropping bad values
+const validateReceiptDetails = (receipt = {}) => {
+  const { value } = validateItem({
+    ...(receipt?.purchaseDate && { purchaseDate: receipt.purchaseDate }),
+    ...(receipt?.currency && { currency: receipt.currency })
+  }, { partial: true });
+  const details = {};
+  const merchant = typeof receipt?.merchant === 'string' ? receipt.merchant.trim() : '';
+  if (merchant) {
+    details.merchant = merchant.slice(0, MERCHANT_MAX_LENGTH);
+  }
+  if (receipt?.purchaseDate && value.purchaseDate) {
+    details.purchaseDate = value.purchaseDate;
+  }
+  if (receipt?.currency && value.currency) {
+    details.currency = value.currency;
+  }
+  return details;
+};
+
+// Thumbnails are stored inline with the receipt data, so keep them small
+const RECEIPT_THUMBNAIL_MAX_BYTES = (Number(process.env.RECEIPT_THUMBNAIL_MAX_KB) || 256) * 1024;
+
+const saveReceiptThumbnail = (receiptId, userId, thumbnail) => store.receiptThumbnails.set(receiptId, {
+  userId,
+  mimetype: thumbnail.mimetype,
+  data: thumbnail.buffer.toString('base64'),
+  size: thumbnail.size
+});
+
+// Persist a scan in the user's receipt history. Returns the receipt id, or null if it
+// could not be saved (the extracted items are still returned to the client).
+// A re-upload served from the cache reuses the user's record for that cache key, so
+// retries do not fill the history with copies; only a forced re-extraction adds one.
+async function saveReceiptRecord(userId, result, { city, cached, thumbnail, cacheKey }) {
+  try {
+    if (cached) {
+      const existing = (await store.receipts.listByCacheKey(cacheKey)).find(receipt => receipt.userId === userId);
+      if (existing) {
+        if (thumbnail) {
+          await saveReceiptThumbnail(existing.id, userId, thumbnail);
+          await store.receipts.update(existing.id, { thumbnail: true });
+        }
+        console.log('  - Reusing receipt', existing.id, 'for user:', userId);
+        return existing.id;
+      }
+    }
+
+    const receipt = await store.receipts.create({
+      userId,
+      merchant: result.merchant ?? null,
+      purchaseDate: result.purchaseDate ?? null,
+      currency: result.currency ?? null,
+      city: city || null,
+      items: result.items,
+      rejected: result.rejected,
+      savedItemIds: [],
+      pages: result.pages,
+      partial: result.partial,
+      provider: result.provider,
+      model: result.model,
+      cached,
+      cacheKey,
+      thumbnail: Boolean(thumbnail),
+      createdAt: new Date().toISOString()
+    });
+    if (thumbnail) {
+      await saveReceiptThumbnail(receipt.id, userId, thumbnail);
+    }
+    console.log('  - Saved receipt', receipt.id, 'for user:', userId);
+    return receipt.id;
+  } catch (error) {
+    console.error('⚠️  Failed to save receipt history:', error.message);
+    return null;
+  }
+}
+
+// Remove expired cache entries and keep the cache within its size cap
+async function pruneReceiptCache() {
+  const removed = await receiptCache.prune();
+  if (removed > 0) {
+    console.log('  - Pruned', removed, 'OCR cache entries');
+  }
+  return removed;
+}
+
+// Remove scan counters from past days
+async function pruneScanUsage() {
+  const removed = await scanQuotas.prune();
+  if (removed > 0) {
+    console.log('  - Pruned', removed, 'old scan counter(s)');
+  }
+  return removed;
+}
+
+// Remove notification history past the retention window
+async function pruneNotificationHistory() {
+  const removed = await notificationDelivery.prune();
+  if (removed > 0) {
+    console.log('  - Pruned', removed, 'old notification record(s)');
+  }
+  return removed;
+}
+
+// Main OCR processing endpoint - requires sign-in unless an anonymous allowance is set
+// Accepts one receipt as "image"/"file", the ordered pages of a long receipt as
+// "images"/"files", or pasted receipt text in the "text" field. Signed-in users may add
+// a small "thumbnail" image that is kept with the receipt history.
+const receiptUpload = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_RECEIPT_PAGES },
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_RECEIPT_PAGES },
+  { name: 'thumbnail', maxCount: 1 }
+]);
+
+// Scanning requires a token unless anonymous scans are allowed
+function receiptAuth(req, res, next) {
+  if (!req.headers.authorization && scanQuotas.anonymousAllowed) {
+    return next();
+  }
+  return verifyToken(req, res, next);
+}
+
+// Rate limits and daily quota, checked before the upload is read. The reserved scan is
+// refunded once the connection closes unless the route set req.scanExtracted.
+async function limitReceiptScans(req, res, next) {
+  try {
+    const verdict = await scanQuotas.check({ userId: req.userId, ip: req.ip });
+    if (!verdict.allowed) {
+      console.log('🚫 Scan refused -', verdict.reason, req.userId ? `user ${req.userId}` : `ip ${req.ip}`);
+      res.set('Retry-After', String(verdict.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: verdict.error,
+        code: verdict.reason === 'rate_limited' ? 'RATE_LIMITED' : 'QUOTA_EXCEEDED',
+        retryAfter: verdict.retryAfterSeconds
+      });
+    }
+    // 'close' also fires when the client disconnects before the response is sent
+    res.once('close', () => {
+      if (!req.scanExtracted) {
+        scanQuotas.refund(verdict.reservation).catch(error => console.log('⚠️  Scan refund failed:', error.message));
+      }
+    });
+    next();
+  } catch (error) {
+    console.error('Error checking scan limits:', error);
+    res.status(500).json({ success: false, error: 'Failed to check scan limits' });
+  }
+}
+
+app.post('/api/process-receipt', receiptAuth, limitReceiptScans, receiptUpload, async (req, res) => {
   const startTime = Date.now();
   console.log('\n========================================');
   console.log('📸 OCR REQUEST RECEIVED');
   console.log('========================================');
   
   try {
-    // Validate request
-    if (!req.file) {
-      console.log('❌ ERROR: No image file provided');
+    // Validate request - pages are processed in upload order
+    const { city, text } = req.body;
+    const pages = ['image', 'images', 'file', 'files'].flatMap(field => req.files?.[field] || []);
+    if (typeof text === 'string' && text.trim()) {
+      pages.push({
+        originalname: 'text',
+        mimetype: 'text/plain',
+        size: Buffer.byteLength(text),
+        buffer: Buffer.from(text)
+      });
+    }
+    if (pages.length === 0) {
+      console.log('❌ ERROR: No receipt provided');
       return res.status(400).json({
         success: false,
-        error: 'No image file provided'
+        error: 'No receipt provided. Upload an image, PDF, text, HTML or .eml file.'
       });
     }
-
-    const { city } = req.body;
-    console.log('📋 Request Details:');
-    console.log('  - File:', req.file.originalname);
-    console.log('  - Size:', (req.file.size / 1024).toFixed(2), 'KB');
-    console.log('  - Type:', req.file.mimetype);
-    console.log('  - City:', city || 'not specified');
-
-    // Check if Gemini is initialized
-    if (!genAI || !process.env.GEMINI_API_KEY) {
-      console.log('⚠️  Gemini not configured, returning mock data');
-      const mockData = getMockResults();
-      console.log('✅ Returning', mockData.length, 'mock items');
-      return res.json({
-        success: true,
-        items: mockData,
-        fallback: true
+    if (pages.length > MAX_RECEIPT_PAGES) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many files. Maximum is ${MAX_RECEIPT_PAGES} pages per receipt.`
+      });
+    }
+    const thumbnail = req.files?.thumbnail?.[0] || null;
+    if (thumbnail && (!thumbnail.mimetype.startsWith('image/') || thumbnail.size > RECEIPT_THUMBNAIL_MAX_BYTES)) {
+      return res.status(400).json({
+        success: false,
+        error: `Thumbnail must be an image of at most ${RECEIPT_THUMBNAIL_MAX_BYTES / 1024} KB`
       });
     }
 
-    console.log('\n🤖 Processing with Gemini API...');
-    console.log('  - Model: gemini-1.5-flash');
-    console.log('  - City context:', city || 'general');
-
-    // Prepare the prompt for Gemini
-    const cityPromptSuffix = getCityPromptSuffix(city);
-    const basePrompt = `Extract items from this receipt. Return JSON array with: name, quantity, category (dry/wet/recyclable/hazardous/medical/e-waste), disposalInterval (1-30 days), confidence (0.0-1.0).
+    console.log('📋 Request Details:');
+    pages.forEach((page, index) => {
+      console.log(`  - Page ${index}:`, page.originalname, `(${(page.size / 1024).toFixed(2)} KB, ${page.mimetype})`);
+    });
+    console.log('  - City:', city || 'not specified');
 
-Example: [{"name":"Milk","quantity":"1L","category":"recyclable","disposalInterval":3,"confidence":0.95}]`;
-    const prompt = basePrompt + cityPromptSuffix;
+    // Read every page before spending a model call on it
+    const documents = pages.map(page => readReceiptDocument(page));
+    console.log('  - Document types:', documents.map(document => document.kind).join(', '));
+
+    // Look up the city's rules; edits to them invalidate cached results
+    const cityRule = await cityRules.resolve(city);
+
+    // Apply learned corrections (the signed-in user's first, then global ones) and keep
+    // signed-in users' scans in their receipt history.
+    // Cached results are stored uncorrected so each user gets their own rules.
+    const finishResult = async (result, { cached }) => {
+      const items = await corrections.apply(req.userId, result.items);
+      const corrected = items.filter(item => item.autoCorrected).length;
+      if (corrected > 0) {
+        console.log('  - Auto-corrected', corrected, 'item(s) from learned rules');
+      }
+      const finished = { ...result, items };
+      if (req.userId) {
+        finished.receiptId = await saveReceiptRecord(req.userId, finished, { city, cached, thumbnail, cacheKey });
+      }
+      return finished;
+    };
 
-    // Convert image to base64
-    const base64Image = req.file.buffer.toString('base64');
-    const mimeType = req.file.mimetype;
-    console.log('  - Image converted to base64');
+    // Serve repeat uploads of the same receipt from the cache
+    const force = req.query.force === 'true' || req.query.force === '1';
+    const cacheKey = receiptCacheKey(pages, {
+      city: cityRule ? `${cityRule.id}@${cityRule.updatedAt || 'default'}` : city,
+      provider: extractionProvider.name,
+      model: extractionProvider.model,
+      version: extractionProvider.version
+    });
+    if (!force) {
+      try {
+        const cached = await receiptCache.get(cacheKey);
+        if (cached) {
+          console.log('💾 Cache hit - returning', cached.result.count, 'items from', cached.createdAt);
+          console.log('========================================\n');
+          return res.json({
+            success: true,
+            ...await finishResult(cached.result, { cached: true }),
+            city: city,
+            cached: true,
+            cachedAt: cached.createdAt,
+            timestamp: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        console.log('⚠️  OCR cache lookup failed:', error.message);
+      }
+    } else {
+      console.log('  - Cache bypassed (force)');
+    }
 
-    // Get the generative model
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    // Check if the extraction provider is configured
+    if (!extractionProvider.available()) {
+      console.log('⚠️ ', extractionProvider.name, 'extraction provider not configured');
+      return sendExtractionFailure(res, 503, 'Receipt processing is not configured', { code: 'OCR_UNAVAILABLE' });
+    }
 
-    // Prepare the request
-    const imagePart = {
-      inlineData: {
-        data: base64Image,
-        mimeType: mimeType
-      }
-    };
+    console.log('\n🤖 Extracting items...');
+    console.log('  - Provider:', extractionProvider.name);
+    console.log('  - Model:', extractionProvider.model);
+    console.log('  - City context:', cityRule ? cityRule.id : 'general');
 
-    console.log('  - Sending request to Gemini...');
     const apiStartTime = Date.now();
-    
-    const result = await model.generateContent([prompt, imagePart]);
-    const response = await result.response;
-    const responseText = response.text();
-    
-    const apiDuration = Date.now() - apiStartTime;
-    console.log('✅ Gemini response received in', apiDuration, 'ms');
-    console.log('  - Response length:', responseText.length, 'chars');
+    const extraction = await extractionProvider.extract({
+      documents,
+      cityContext: buildCityPromptContext(cityRule)
+    });
+    // Only successful extractions keep their reserved scan
+    req.scanExtracted = true;
+    console.log('✅ Extraction finished in', Date.now() - apiStartTime, 'ms');
+    console.log('  - Attempts:', extraction.attempts, extraction.repaired ? '(repaired)' : '');
+    console.log('  - Complete response:', extraction.complete);
+
+    const items = extraction.items.map(item => (item && typeof item === 'object' ? item : {}));
+
+    // Transform to match frontend interface, keeping only items that pass the item schema.
+    // A misread quantity or price is dropped rather than rejecting the whole line.
+    const { values, errors } = validateItems(items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      category: item.category,
+      interval: item.disposalInterval,
+      confidence: item.confidence,
+      price: item.price
+    })), { dropInvalid: ['quantity', 'price'] });
+    const validItems = [];
+    const rejected = [];
+    values.forEach((value, index) => {
+      const itemErrors = errors.filter(error => error.index === index);
+      if (itemErrors.length > 0) {
+        console.log(`  - Item ${index + 1}: rejected -`, itemErrors.map(error => error.message).join('; '));
+        rejected.push({ index, name: items[index]?.name, errors: itemErrors.map(({ index, ...error }) => error) });
+        return;
+      }
+      const page = Number.isInteger(items[index].page) && items[index].page >= 0 && items[index].page < pages.length
+        ? items[index].page
+        : 0;
+      console.log(`  - Item ${index + 1}: ${value.name} (${value.category}) page ${page}`);
+      validItems.push({ ...value, page });
+    });
 
-    console.log('\n📝 Parsing response...');
-    
-    // Clean the response text
-    let cleanText = responseText.trim();
-    if (cleanText.startsWith('```json')) {
-      cleanText = cleanText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      console.log('  - Removed ```json``` wrapper');
-    } else if (cleanText.startsWith('```')) {
-      cleanText = cleanText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      console.log('  - Removed ``` wrapper');
-    }
-
-    // Parse the JSON response
-    console.log('  - Parsing JSON...');
-    const items = JSON.parse(cleanText);
-    console.log('  - Successfully parsed JSON');
-    
-    if (!Array.isArray(items)) {
-      console.log('❌ ERROR: Response is not an array, got:', typeof items);
-      throw new Error('Response is not an array');
+    // Receipt details are kept when valid; a purchase date in the future is a misread
+    const receipt = validateReceiptDetails(extraction.receipt);
+    if (receipt.purchaseDate || receipt.merchant) {
+      console.log('  - Receipt:', receipt.merchant || 'unknown merchant', receipt.purchaseDate || 'no date', receipt.currency || '');
     }
-    console.log('  - Validated as array with', items.length, 'items');
 
-    // Transform to match frontend interface
-    const parsedItems = items.map((item, index) => {
-      console.log(`  - Item ${index + 1}: ${item.name} (${item.category})`);
-      return {
+    // Fold lines repeated across page boundaries into one item. Items carry the purchase
+    // date and currency so saving them schedules from the date on the receipt.
+    const parsedItems = mergePageItems(validItems)
+      .map((item, index) => ({
         id: `${Date.now()}-${index}`,
-        name: item.name,
-        quantity: item.quantity,
-        category: item.category,
-        interval: item.disposalInterval,
-        confidence: item.confidence
-      };
-    });
+        ...item,
+        ...(receipt.purchaseDate && { purchaseDate: receipt.purchaseDate }),
+        ...(receipt.currency && item.price !== undefined && { currency: receipt.currency })
+      }));
+    if (parsedItems.length < validItems.length) {
+      console.log('  - Merged', validItems.length - parsedItems.length, 'item(s) repeated across pages');
+    }
 
     const totalDuration = Date.now() - startTime;
-    console.log('\n✅ SUCCESS - Returning', parsedItems.length, 'items');
+    console.log('\n✅ SUCCESS - Returning', parsedItems.length, 'items', rejected.length ? `(${rejected.length} rejected)` : '');
     console.log('⏱️  Total processing time:', totalDuration, 'ms');
     console.log('========================================\n');
 
-    res.json({
-      success: true,
+    const result = {
+      merchant: receipt.merchant ?? null,
+      purchaseDate: receipt.purchaseDate ?? null,
+      currency: receipt.currency ?? null,
       items: parsedItems,
       count: parsedItems.length,
+      rejected,
+      partial: !extraction.complete,
+      attempts: extraction.attempts,
+      pages: pages.length,
+      provider: extractionProvider.name,
+      model: extractionProvider.model
+    };
+
+    // Only complete results are cached so a retry can improve on a partial one
+    if (extraction.complete) {
+      try {
+        await receiptCache.put(cacheKey, result);
+      } catch (error) {
+        console.log('⚠️  Failed to cache OCR result:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      ...await finishResult(result, { cached: false }),
       city: city,
+      cached: false,
       timestamp: new Date().toISOString()
     });
 
@@ -669,305 +2077,294 @@ Example: [{"name":"Milk","quantity":"1L","category":"recyclable","disposalInterv
     if (error.stack) {
       console.log('  - Stack trace:', error.stack.split('\n').slice(0, 3).join('\n'));
     }
-    console.log('  - Falling back to mock data');
     console.log('========================================\n');
-    
-    // Return fallback mock data on error
-    const mockData = getMockResults();
-    res.json({
-      success: true,
-      items: mockData,
-      count: mockData.length,
-      fallback: true,
-      error: error.message
-    });
+
+    if (error instanceof DocumentError) {
+      return res.status(415).json({ success: false, error: error.message, code: 'UNSUPPORTED_DOCUMENT' });
+    }
+    if (error instanceof ExtractionError) {
+      return sendExtractionFailure(res, 502, error.message, { details: error.details });
+    }
+    sendExtractionFailure(res, 500, 'Failed to process receipt');
   }
 });
 
+// Remaining receipt scans for the signed-in user, or for this IP's anonymous allowance
+app.get('/api/quota', optionalAuth, async (req, res) => {
+  try {
+    const quota = await scanQuotas.status({ userId: req.userId, ip: req.ip });
+    res.json({ success: true, data: quota });
+  } catch (error) {
+    console.error('Error fetching scan quota:', error);
+    res.status(500).json({ error: 'Failed to fetch scan quota' });
+  }
+});
+
+// Clear notifyPending on reminders that will not be pushed for their current due date,
+// unless they were re-armed (snoozed, rescheduled) since they were read.
+// Returns the number released.
+async function releaseReminders(reminders) {
+  let released = 0;
+  for (let i = 0; i < reminders.length; i += REMINDER_RELEASE_BATCH_SIZE) {
+    const batch = reminders.slice(i, i + REMINDER_RELEASE_BATCH_SIZE);
+    released += await store.transaction(async (tx) => {
+      const current = [];
+      for (const reminder of batch) {
+        current.push(await tx.reminders.get(reminder.id));
+      }
+      const unchanged = current.filter((reminder, index) => reminder?.notifyPending && reminder.dueDate === batch[index].dueDate);
+      for (const reminder of unchanged) {
+        await tx.reminders.update(reminder.id, { notifyPending: false });
+      }
+      return unchanged.length;
+    });
+  }
+  return released;
+}
+
+// Claim a user's planned reminders and push them as one digest.
+// Returns { digests, sent, failed } counts.
+async function sendUserDigest(userId, plan, settings, tokenDocs, now) {
+  console.log('  - User:', userId, '- Tokens:', tokenDocs.length, '- Reminders in digest:', plan.reminders.length);
+
+  // Claim the reminders and create the digest record in one transaction: a reminder
+  // another run already claimed is left out, so each is pushed exactly once, and a
+  // failed delivery is retried from the record rather than sent as a second digest
+  const claim = await store.transaction(async (tx) => {
+    const current = [];
+    for (const reminder of plan.reminders) {
+      current.push(await tx.reminders.get(reminder.id));
+    }
+    const claimed = current.filter(reminder => reminder && reminder.userId === userId && needsNotification(reminder));
+    if (claimed.length === 0) {
+      return null;
+    }
+    for (const reminder of claimed) {
+      await tx.reminders.update(reminder.id, { notifiedFor: reminder.dueDate, notifyPending: false });
+    }
+    const record = await tx.notifications.create(notificationDelivery.newRecord(userId, buildDigestMessage(claimed), {
+      reminderIds: claimed.map(reminder => reminder.id),
+      tokenDocs,
+      now
+    }));
+    return { record, claimed };
+  });
+  if (!claim) {
+    console.log('  ⏭️  User:', userId, '- reminders already claimed by another run');
+    return { digests: 0, sent: 0, failed: 0 };
+  }
+  await store.notificationState.set(userId, {
+    lastDigestAt: now.toISOString(),
+    lastDigestDate: localDateKey(now, settings.timezone)
+  });
+
+  const record = await notificationDelivery.deliver(claim.record, tokenDocs);
+  const results = record.attempts[record.attempts.length - 1].results;
+  const failed = results.filter(result => !result.success);
+
+  console.log('  ✅ Digest', record.id, record.status, '- delivered to', results.length - failed.length, 'of', results.length, 'device(s)');
+  for (const result of failed) {
+    console.log('  ❌ Token', result.tokenId, 'failed:', result.errorCode, '-', result.errorMessage);
+  }
+  if (record.invalidTokenIds.length > 0) {
+    console.log('  🗑️  Removed', record.invalidTokenIds.length, 'invalid token(s)');
+  }
+  if (record.nextAttemptAt) {
+    console.log('  🔁 Retrying', record.pendingTokenIds.length, 'device(s) at', record.nextAttemptAt);
+  }
+  return { digests: 1, sent: results.length - failed.length, failed: failed.length };
+}
+
+// Migrations not yet applied to the store (npm run migrate applies them)
+const pendingMigrations = async () => (await createMigrator(store).status()).filter(migration => !migration.applied);
+
+const describeMigrations = (migrations) => migrations.map(({ version, name }) => `${version} ${name}`).join(', ');
+
 // Notification Scheduler - Check and send reminder notifications
 async function checkAndSendNotifications() {
-  if (!db || !messaging) {
-    console.log('⏭️  Skipping notification check - Firebase not available');
-    return;
+  try {
+    await markOverdueReminders();
+    await purgeDeletedItems();
+    await pruneReceiptCache();
+    await pruneNotificationHistory();
+    await pruneScanUsage();
+  } catch (error) {
+    console.error('❌ Error in reminder maintenance:', error.message);
+  }
+
+  if (!messaging) {
+    console.log('⏭️  Skipping notification check - Firebase Messaging not available');
+    return { notifications: 'unavailable' };
+  }
+
+  // The scan below reads only reminders flagged by the notify-pending migration, so
+  // nothing is sent until every migration has been applied
+  const pending = await pendingMigrations();
+  if (pending.length > 0) {
+    console.error('❌ Not sending notifications - pending migration(s):', describeMigrations(pending), '- run `npm run migrate`');
+    return { notifications: 'migrations_pending', pendingMigrations: pending.map(migration => migration.version) };
   }
 
   try {
     const now = new Date();
-    const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000); // 1 hour buffer
-    
-    console.log('\n🔔 Checking for due reminders...');
-    console.log('  - Current time:', now.toISOString());
-    console.log('  - Checking reminders due before:', oneHourFromNow.toISOString());
 
-    // Find reminders that are due (or due within 1 hour)
-    // Query by date only (no composite index needed), then filter by status in code
-    const allRemindersSnapshot = await db.collection('reminders')
-      .where('dueDate', '<=', oneHourFromNow.toISOString())
-      .get();
-    
-    // Filter by status in JavaScript (upcoming or overdue, not completed)
-    // Also check if notification was already sent recently (within last 5 minutes)
-    const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000).toISOString();
-    const remindersSnapshot = {
-      docs: allRemindersSnapshot.docs.filter(doc => {
-        const reminder = doc.data();
-        // Skip if status is not upcoming/overdue
-        if (reminder.status !== 'upcoming' && reminder.status !== 'overdue') {
-          return false;
-        }
-        // Skip if notification was sent recently (within last 5 minutes) to prevent spam
-        if (reminder.lastNotificationSent && reminder.lastNotificationSent > fiveMinutesAgo) {
-          return false;
-        }
-        return true;
-      }),
-      size: 0, // Will calculate below
-      empty: true // Will calculate below
-    };
-    
-    remindersSnapshot.size = remindersSnapshot.docs.length;
-    remindersSnapshot.empty = remindersSnapshot.size === 0;
+    // Retry earlier sends whose backoff has elapsed
+    const retried = await notificationDelivery.retryDue(now);
+    if (retried.length > 0) {
+      console.log('🔁 Retried', retried.length, 'notification(s):', retried.map(record => `${record.id} ${record.status}`).join(', '));
+    }
 
-    console.log('  - Found', remindersSnapshot.size, 'reminders due');
+    console.log('\n🔔 Checking for due reminders...');
+    console.log('  - Current time:', now.toISOString());
 
-    if (remindersSnapshot.empty) {
-      console.log('✅ No reminders due at this time');
-      return;
-    }
-
-    let sentCount = 0;
-    let failedCount = 0;
-
-    // Group reminders by user
-    const remindersByUser = {};
-    for (const doc of remindersSnapshot.docs) {
-      const reminder = { id: doc.id, ...doc.data() };
-      
-      // Get the item to find the user ID
-      // Items might be stored per-user, so check if reminder has userId or get from item
-      let userId = reminder.userId;
-      
-      if (!userId) {
-        console.log('  ⚠️  Reminder missing userId, looking up from item:', reminder.id);
-        if (!reminder.itemId) {
-          console.log('  ❌ Reminder has no itemId, cannot determine user:', reminder.id);
-          console.log('  🗑️  Deleting orphaned reminder (no itemId)');
-          await db.collection('reminders').doc(reminder.id).delete().catch(console.error);
-          continue;
-        }
-        
-        const itemDoc = await db.collection('items').doc(reminder.itemId).get();
-        if (!itemDoc.exists) {
-          console.log('  ⚠️  Item not found for reminder:', reminder.id, 'itemId:', reminder.itemId);
-          console.log('  🗑️  Deleting orphaned reminder (item not found)');
-          await db.collection('reminders').doc(reminder.id).delete().catch(console.error);
-          continue;
-        }
-        const item = itemDoc.data();
-        userId = item.userId;
-        
-        // If item also doesn't have userId, it's orphaned - try to find from current user's active reminders
-        if (!userId) {
-          console.log('  ⚠️  Item also missing userId:', reminder.itemId);
-          console.log('  🔍 Attempting to find userId from other reminders for same item...');
-          
-          // Look for other reminders for the same item that might have userId
-          // Note: Firestore doesn't support != null, so we get all and filter
-          const otherRemindersSnapshot = await db.collection('reminders')
-            .where('itemId', '==', reminder.itemId)
-            .limit(10) // Get a few to check
-            .get();
-          
-          // Filter for reminders that have userId
-          const otherReminders = {
-            docs: otherRemindersSnapshot.docs.filter(doc => {
-              const data = doc.data();
-              return data.userId && data.userId.trim() !== '';
-            }),
-            empty: false,
-          };
-          
-          if (otherReminders.docs.length === 0) {
-            otherReminders.empty = true;
-          }
-          
-          if (otherReminders.docs.length > 0) {
-            userId = otherReminders.docs[0].data().userId;
-            console.log('  ✅ Found userId from other reminder for same item:', userId);
-            
-            // Update both the item and this reminder with the found userId
-            await Promise.all([
-              db.collection('items').doc(reminder.itemId).update({ userId }),
-              db.collection('reminders').doc(reminder.id).update({ userId }),
-            ]);
-            console.log('  ✅ Updated item and reminder with userId');
-          } else {
-            console.log('  ❌ No userId found anywhere for reminder:', reminder.id);
-            console.log('  🗑️  Deleting orphaned reminder (cannot determine user)');
-            await db.collection('reminders').doc(reminder.id).delete().catch(console.error);
-            continue;
+    // Daily digests cover the day ahead, so look that far; each user's settings then
+    // decide what is actually sent now
+    const horizon = new Date(now.getTime() + DIGEST_WINDOW_MS).toISOString();
+    const totals = { due: 0, unowned: 0, digests: 0, sent: 0, failed: 0, released: 0 };
+
+    // Only reminders flagged notifyPending are read. Pages just say which users have
+    // something due; each user's pending reminders are then loaded in full, so a digest
+    // is never cut at a page boundary, and users already handled are skipped.
+    const handledUsers = new Set();
+
+    let cursor = null;
+    let pageCount = 0;
+    do {
+      const page = await store.reminders.listNotifyPendingPage(horizon, {
+        limit: REMINDER_SCAN_PAGE_SIZE,
+        startAfter: cursor
+      });
+      cursor = page.cursor;
+      pageCount++;
+
+      // Reminders without an owner are repaired by the reminder-owners migration
+      // (npm run migrate), not here
+      totals.unowned += page.reminders.filter(reminder => !reminder.userId).length;
+      const userIds = [...new Set(page.reminders.map(reminder => reminder.userId))]
+        .filter(userId => userId && !handledUsers.has(userId));
+      userIds.forEach(userId => handledUsers.add(userId));
+
+      // Pending reminders, settings and notification state for the page's users at once
+      const [reminderLists, settingsList, states] = await Promise.all([
+        Promise.all(userIds.map(userId => store.reminders.listNotifyPendingByUser(userId))),
+        Promise.all(userIds.map(getUserSettings)),
+        Promise.all(userIds.map(userId => store.notificationState.get(userId)))
+      ]);
+
+      // Send one digest to each user, as their notification settings allow. Reminders
+      // that will never be sent for their due date are released so later runs skip them.
+      const sending = [];
+      const release = [];
+      userIds.forEach((userId, index) => {
+        const pending = reminderLists[index];
+        release.push(...pending.filter(reminder => !needsNotification(reminder)));
+        const due = pending.filter(reminder => needsNotification(reminder) && reminder.dueDate <= horizon);
+        totals.due += due.length;
+
+        const plan = planDigest(due, settingsList[index], states[index] || {}, now);
+        release.push(...plan.skipped);
+        if (plan.reminders.length === 0) {
+          const held = due.length - plan.skipped.length;
+          if (held > 0) {
+            console.log('  ⏸️  User:', userId, '- holding', held, 'reminder(s):', plan.reason);
           }
-        } else {
-          // If we found userId from item, update the reminder to include it (backfill)
-          console.log('  ✅ Found userId from item, updating reminder:', reminder.id);
-          await db.collection('reminders').doc(reminder.id).update({
-            userId: userId,
-          });
+          return;
         }
-      }
-      
-      if (!userId) {
-        console.log('  ❌ No userId found for reminder (even after all lookups):', reminder.id);
-        console.log('  🗑️  This should not happen - deleting orphaned reminder');
-        await db.collection('reminders').doc(reminder.id).delete().catch(console.error);
-        continue;
-      }
-
-      if (!remindersByUser[userId]) {
-        remindersByUser[userId] = [];
-      }
-      remindersByUser[userId].push(reminder);
-    }
+        sending.push({ userId, plan, settings: settingsList[index] });
+      });
 
-    // Send notifications to each user
-    for (const [userId, userReminders] of Object.entries(remindersByUser)) {
-      try {
-        // Get user's FCM tokens
-        const tokensRef = db.collection('fcm_tokens').doc(userId).collection('tokens');
-        const tokensSnapshot = await tokensRef.get();
+      // Device tokens once per page, for the users being sent to
+      const tokenLists = await Promise.all(sending.map(({ userId }) => store.tokens.listByUser(userId)));
 
-        if (tokensSnapshot.empty) {
+      for (const [index, { userId, plan, settings }] of sending.entries()) {
+        const tokenDocs = tokenLists[index];
+        if (tokenDocs.length === 0) {
           console.log('  ⚠️  No FCM tokens found for user:', userId);
+          release.push(...plan.reminders);
           continue;
         }
-
-        const tokens = tokensSnapshot.docs.map(doc => doc.data().token);
-        console.log('  - User:', userId, '- Tokens:', tokens.length);
-
-        // Send notification for each reminder
-        for (const reminder of userReminders) {
-          const notification = {
-            notification: {
-              title: 'CleanSort Reminder',
-              body: `Time to dispose: ${reminder.itemName}`,
-            },
-            data: {
-              reminderId: reminder.id,
-              itemId: reminder.itemId,
-              itemName: reminder.itemName,
-              category: reminder.category || '',
-              dueDate: reminder.dueDate,
-            },
-            tokens: tokens, // Send to all user's devices
-          };
-
-          try {
-            const response = await messaging.sendEachForMulticast({
-              tokens: tokens,
-              notification: notification.notification,
-              data: notification.data,
-              apns: {
-                payload: {
-                  aps: {
-                    sound: 'default',
-                    badge: userReminders.length,
-                  },
-                },
-              },
-              android: {
-                priority: 'high',
-                notification: {
-                  sound: 'default',
-                  channelId: 'reminders',
-                },
-              },
-            });
-
-            console.log('  ✅ Notification sent to', response.successCount, 'device(s)');
-            console.log('  📝 Response details:', {
-              successCount: response.successCount,
-              failureCount: response.failureCount,
-              totalTokens: tokens.length,
-            });
-            
-            // Log detailed response for debugging
-            if (response.failureCount > 0) {
-              response.responses.forEach((resp, idx) => {
-                if (!resp.success && resp.error) {
-                  console.log('  ❌ Token', idx, 'failed:', resp.error.code, '-', resp.error.message);
-                } else {
-                  console.log('  ✅ Token', idx, 'succeeded');
-                }
-              });
-            }
-            
-            // Mark reminder as notified (optional - add a field to track this)
-            await db.collection('reminders').doc(reminder.id).update({
-              lastNotificationSent: new Date().toISOString(),
-            });
-
-            sentCount += response.successCount;
-            
-            // Handle failed tokens
-            if (response.failureCount > 0) {
-              console.log('  ⚠️  Failed to send to', response.responses.length - response.successCount, 'device(s)');
-              failedCount += response.failureCount;
-              
-              // Remove invalid tokens
-              response.responses.forEach((resp, idx) => {
-                if (!resp.success && resp.error) {
-                  const errorCode = resp.error.code;
-                  console.log('  🗑️  Removing invalid token:', errorCode);
-                  if (errorCode === 'messaging/invalid-registration-token' || 
-                      errorCode === 'messaging/registration-token-not-registered') {
-                    // Remove invalid token from Firestore
-                    tokensSnapshot.docs[idx]?.ref.delete().catch(console.error);
-                    console.log('  🗑️  Removed invalid token from database');
-                  }
-                }
-              });
-            }
-          } catch (sendError) {
-            console.error('  ❌ Error sending notification:', sendError.message);
-            failedCount++;
-          }
+        try {
+          const result = await sendUserDigest(userId, plan, settings, tokenDocs, now);
+          totals.digests += result.digests;
+          totals.sent += result.sent;
+          totals.failed += result.failed;
+        } catch (userError) {
+          console.error('  ❌ Error processing user reminders:', userError.message);
         }
-      } catch (userError) {
-        console.error('  ❌ Error processing user reminders:', userError.message);
       }
+
+      totals.released += await releaseReminders(release);
+    } while (cursor);
+
+    console.log('  - Scanned', pageCount, 'page(s),', totals.due, 'reminder(s) not yet notified');
+    if (totals.released > 0) {
+      console.log('  - Released', totals.released, 'reminder(s) that will not be sent (muted, disabled, no devices or done)');
+    }
+    if (totals.unowned > 0) {
+      console.log('  ⚠️  Skipped', totals.unowned, 'reminder(s) without userId - run `npm run migrate` to repair them');
+    }
+    if (totals.due === 0) {
+      console.log('✅ No reminders due at this time');
+      return { retried: retried.length, ...totals };
     }
 
     console.log('\n📊 Notification Summary:');
-    console.log('  - Sent:', sentCount);
-    console.log('  - Failed:', failedCount);
+    console.log('  - Digests:', totals.digests);
+    console.log('  - Sent:', totals.sent);
+    console.log('  - Failed:', totals.failed);
     console.log('✅ Notification check completed\n');
+    return { retried: retried.length, ...totals };
 
   } catch (error) {
     console.error('❌ Error in notification scheduler:', error);
     console.error('Stack:', error.stack);
+    throw error;
   }
 }
 
-// Run notification check every hour
-let notificationInterval;
+// Reminder maintenance and notifications run every SCHEDULER_INTERVAL_MINUTES on the one
+// instance holding the scheduler lease, so replicas and overlapping deploys never send
+// the same reminders twice. A lease not renewed for SCHEDULER_LEASE_MINUTES (e.g. the
+// leader crashed) passes to another instance.
+const SCHEDULER_INTERVAL_MS = (Number(process.env.SCHEDULER_INTERVAL_MINUTES) || 5) * 60 * 1000;
+const notificationScheduler = createLeaderScheduler(store, {
+  name: 'notifications',
+  intervalMs: SCHEDULER_INTERVAL_MS,
+  leaseMs: (Number(process.env.SCHEDULER_LEASE_MINUTES) || 2 * SCHEDULER_INTERVAL_MS / 60000) * 60 * 1000,
+  instanceId: process.env.INSTANCE_ID || process.env.RAILWAY_REPLICA_ID || defaultInstanceId(),
+  run: checkAndSendNotifications
+});
+
 function startNotificationScheduler() {
-  if (!db || !messaging) {
-    console.log('⏭️  Notification scheduler not started - Firebase not available');
-    return;
+  if (!messaging) {
+    console.log('⚠️  Firebase Messaging not available - scheduler will only run reminder maintenance');
   }
 
-  // Run immediately on startup (after 10 seconds to let server initialize)
-  setTimeout(() => {
-    console.log('🚀 Starting notification scheduler...');
-    checkAndSendNotifications();
-  }, 10000);
+  // First run shortly after startup to let the server initialize
+  notificationScheduler.start(10000);
+  console.log('✅ Notification scheduler started (runs every', SCHEDULER_INTERVAL_MS / 60000, 'minutes on the lease holder)');
+  console.log('  - Instance:', notificationScheduler.instanceId);
 
-  // Then run every 5 minutes for active checking (especially during testing)
-  notificationInterval = setInterval(() => {
-    checkAndSendNotifications();
-  }, 5 * 60 * 1000); // 5 minutes
+  pendingMigrations()
+    .then((pending) => {
+      if (pending.length > 0) {
+        console.error('❌ Pending migration(s):', describeMigrations(pending), '- notifications are held until `npm run migrate` applies them');
+      }
+    })
+    .catch(error => console.error('⚠️  Failed to check migrations:', error.message));
+}
 
-  console.log('✅ Notification scheduler started (runs every 5 minutes)');
+// Hand the scheduler lease to another instance straight away when shutting down
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    console.log(`\n👋 ${signal} received - releasing scheduler lease`);
+    try {
+      await notificationScheduler.stop();
+    } catch (error) {
+      console.error('⚠️  Failed to release scheduler lease:', error.message);
+    }
+    process.exit(0);
+  });
 }
 
 // Helper function for mock results
@@ -1004,20 +2401,32 @@ function getMockResults() {
 app.use((error, req, res, next) => {
   console.log('\n⚠️  MIDDLEWARE ERROR HANDLER');
   console.log('  - Error:', error.message);
-  console.log('  - Path:', req.path);
+  console.log('  - Path:', redactPath(req.path));
   console.log('  - Method:', req.method);
   
   if (error instanceof multer.MulterError) {
     console.log('  - Type: Multer Error');
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      console.log('  - Reason: Too many or unexpected files');
+      return res.status(400).json({
+        success: false,
+        error: `Send one "image"/"file" or up to ${MAX_RECEIPT_PAGES} "images"/"files" per receipt.`
+      });
+    }
     if (error.code === 'LIMIT_FILE_SIZE') {
       console.log('  - Reason: File too large');
       return res.status(400).json({
         success: false,
-        error: 'File too large. Maximum size is 50MB.'
+        error: `File too large. Maximum size is ${MAX_RECEIPT_FILE_MB}MB.`
       });
     }
   }
   
+  if (error instanceof DocumentError) {
+    console.log('  - Type: Unsupported document');
+    return res.status(415).json({ success: false, error: error.message, code: 'UNSUPPORTED_DOCUMENT' });
+  }
+  
   console.log('  - Type: General server error');
   res.status(500).json({
     success: false,
@@ -1044,21 +2453,54 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('  - Port:', PORT);
   console.log('  - Host: 0.0.0.0 (all interfaces)');
   console.log('  - Environment:', process.env.NODE_ENV || 'development');
-  console.log('  - Gemini AI:', genAI ? '✅ Configured' : '⚠️  Not configured (using mock data)');
-  console.log('  - Firebase:', db ? '✅ Configured' : '⚠️  Not configured (using mock data)');
+  console.log('  - Gemini AI:', genAI ? '✅ Configured' : '⚠️  Not configured');
+  console.log('  - Extraction provider:', extractionProvider.name, `(${extractionProvider.model})`);
+  console.log('  - OCR mock fallback:', OCR_MOCK_FALLBACK ? 'enabled (development only)' : 'disabled');
+  console.log('  - OCR cache:', OCR_CACHE_MAX_ENTRIES, 'entries,', OCR_CACHE_TTL_MS / 3600000, 'h TTL');
+  console.log('  - Max receipt pages:', MAX_RECEIPT_PAGES);
+  console.log('  - Firebase:', db ? '✅ Configured' : '⚠️  Not configured');
+  console.log('  - Storage:', store.driver);
   console.log('  - FCM Messaging:', messaging ? '✅ Configured' : '⚠️  Not configured');
   console.log('\nAvailable Endpoints:');
   console.log('  - GET  /health');
-  console.log('  - POST /api/process-receipt');
+  console.log('  - POST /api/process-receipt (image/PDF/text/HTML/.eml, up to ' + MAX_RECEIPT_PAGES + ' pages, ' + (scanQuotas.anonymousAllowed ? 'anonymous allowed' : 'protected') + ')');
+  console.log('  - GET  /api/quota');
   console.log('  - GET  /api/items');
   console.log('  - POST /api/items');
-  console.log('  - DELETE /api/items/:id');
+  console.log('  - PATCH /api/items/:id (protected)');
+  console.log('  - DELETE /api/items/:id (protected)');
+  console.log('  - POST /api/items/:id/restore (protected)');
+  console.log('  - PATCH /api/items/:id/recurrence (protected)');
   console.log('  - GET  /api/reminders');
+  console.log('  - PATCH /api/reminders/:id (protected)');
+  console.log('  - PATCH /api/reminders/bulk (protected)');
   console.log('  - POST /api/fcm/register (protected)');
-  console.log('  - GET  /api/settings/city');
-  console.log('  - PUT  /api/settings/city');
-  console.log('  - GET  /api/settings/onboarding');
-  console.log('  - PUT  /api/settings/onboarding');
+  console.log('  - GET  /api/settings (protected)');
+  console.log('  - PATCH /api/settings (protected)');
+  console.log('  - GET  /api/settings/city (protected)');
+  console.log('  - PUT  /api/settings/city (protected)');
+  console.log('  - GET  /api/settings/onboarding (protected)');
+  console.log('  - PUT  /api/settings/onboarding (protected)');
+  console.log('  - GET  /api/cities');
+  console.log('  - GET  /api/cities/:id');
+  console.log('  - PUT  /api/cities/:id (admin)');
+  console.log('  - GET  /api/receipts (protected)');
+  console.log('  - GET  /api/receipts/:id (protected)');
+  console.log('  - GET  /api/receipts/:id/thumbnail (protected)');
+  console.log('  - GET  /api/corrections (protected)');
+  console.log('  - DELETE /api/corrections/:id (protected)');
+  console.log('  - GET  /api/corrections/global (admin)');
+  console.log('  - DELETE /api/corrections/global/:id (admin)');
+  console.log('  - GET  /api/stats (protected)');
+  console.log('  - GET  /api/calendar (protected)');
+  console.log('  - POST /api/calendar/token (protected)');
+  console.log('  - DELETE /api/calendar/token (protected)');
+  console.log('  - GET  /api/calendar/:token.ics (feed token)');
+  console.log('  - GET  /api/export (protected)');
+  console.log('  - GET  /api/notifications (protected)');
+  console.log('  - PATCH /api/notifications/:id (protected)');
+  console.log('  - POST /api/notifications/trigger (admin)');
+  console.log('  - GET  /api/admin/scheduler (admin)');
   console.log('\n✅ Server is ready to accept requests');
   console.log('========================================\n');
 
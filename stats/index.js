@@ -0,0 +1,228 @@
+// Waste analytics
+// Summarises a user's items and reminders over a time window: how much of each category
+// they threw out (item counts and a rough volume), how reliably reminders were acted on,
+// and how both changed over the window. Only the fields needed here are read from
+// storage and everything is tallied in one pass, so users with thousands of items are
+// summarised without loading whole documents or needing extra indexes.
+import { WASTE_CATEGORIES } from '../schemas/item.js';
+import { localDateKey, startOfLocalDate } from '../cities/schedule.js';
+
+export const STATS_WINDOWS = ['week', 'month', 'custom'];
+export const STATS_BUCKETS = ['day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = { week: 7, month: 30 };
+const CUSTOM_WINDOW_MAX_DAYS = 366;
+
+// A reminder completed within a day of falling due counts as on time; one left open
+// for longer counts as missed
+const ON_TIME_GRACE_MS = DAY_MS;
+
+const ITEM_FIELDS = ['category', 'quantity', 'createdAt', 'deletedAt'];
+const REMINDER_FIELDS = ['status', 'dueDate', 'completedAt', 'deletedAt'];
+
+// Rough litres for one unit of an item whose quantity is a count ("2", "1 pack")
+const UNIT_LITRES = { dry: 0.5, wet: 0.5, recyclable: 1, hazardous: 0.2, medical: 0.1, 'e-waste': 0.5 };
+
+// Litres per measured unit. Weights are taken as water-dense.
+const MEASURE_LITRES = { ml: 0.001, l: 1, ltr: 1, litre: 1, liter: 1, mg: 0.000001, g: 0.001, gm: 0.001, kg: 1 };
+
+const toNumber = (text) => Number(text.replace(',', '.'));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Estimated litres of waste an item leaves behind: "2 x 500ml" -> 1, "1 kg" -> 1,
+// "3 pcs" of recyclables -> 3
+export function estimateVolume({ category, quantity }) {
+  const text = String(quantity ?? '').toLowerCase();
+  const unitLitres = UNIT_LITRES[category] ?? 0.5;
+
+  const multiple = /(\d+(?:[.,]\d+)?)\s*[x×]\s*(\d+(?:[.,]\d+)?)\s*([a-z]*)/.exec(text);
+  const single = /(\d+(?:[.,]\d+)?)\s*([a-z]*)/.exec(text);
+  const [count, amount, unit] = multiple
+    ? [toNumber(multiple[1]), toNumber(multiple[2]), multiple[3]]
+    : single ? [1, toNumber(single[1]), single[2]] : [1, 1, ''];
+
+  return MEASURE_LITRES[unit] ? count * amount * MEASURE_LITRES[unit] : count * amount * unitLitres;
+}
+
+// Resolve the query of GET /api/stats into a window in the user's timezone.
+// query: { window: week | month | custom, from, to, bucket }. Custom windows take ISO
+// dates; a plain "YYYY-MM-DD" covers that whole local day.
+// Returns { window: { type, from, to, bucket, timezone } } or { error }.
+export function resolveStatsWindow(query, { timezone, now = new Date() }) {
+  const type = query.window || 'month';
+  if (!STATS_WINDOWS.includes(type)) {
+    return { error: `window must be one of: ${STATS_WINDOWS.join(', ')}` };
+  }
+
+  let from;
+  let to = now;
+  if (type === 'custom') {
+    const parse = (value, endOfDay) => {
+      if (typeof value !== 'string') {
+        return null;
+      }
+      if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const start = startOfLocalDate(value, timezone);
+        return endOfDay ? new Date(start.getTime() + DAY_MS) : start;
+      }
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    };
+    from = parse(query.from, false);
+    to = query.to === undefined ? now : parse(query.to, true);
+    if (!from || !to) {
+      return { error: 'A custom window needs from (and optionally to) as dates such as "2024-05-01"' };
+    }
+    if (from >= to) {
+      return { error: 'from must be before to' };
+    }
+    if (to - from > CUSTOM_WINDOW_MAX_DAYS * DAY_MS) {
+      return { error: `A custom window can cover at most ${CUSTOM_WINDOW_MAX_DAYS} days` };
+    }
+  } else {
+    // Whole local days, ending with today
+    const today = startOfLocalDate(localDateKey(now, timezone), timezone);
+    from = startOfLocalDate(localDateKey(new Date(today.getTime() - (WINDOW_DAYS[type] - 1) * DAY_MS), timezone), timezone);
+  }
+
+  const days = (to - from) / DAY_MS;
+  const bucket = query.bucket || (days <= 31 ? 'day' : days <= 183 ? 'week' : 'month');
+  if (!STATS_BUCKETS.includes(bucket)) {
+    return { error: `bucket must be one of: ${STATS_BUCKETS.join(', ')}` };
+  }
+
+  return { window: { type, from: from.toISOString(), to: to.toISOString(), bucket, timezone } };
+}
+
+// The trend period a local date falls in: the day itself, the Monday starting its week
+// or the first of its month
+const periodOf = (dateKey, bucket) => {
+  if (bucket === 'month') {
+    return `${dateKey.slice(0, 7)}-01`;
+  }
+  if (bucket === 'week') {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+  }
+  return dateKey;
+};
+
+const emptyCategories = (value) => Object.fromEntries(WASTE_CATEGORIES.map(category => [category, value()]));
+
+const rates = ({ onTime, late, missed }) => {
+  const resolved = onTime + late + missed;
+  return {
+    onTimeRate: resolved ? round(onTime / resolved) : null,
+    lateRate: resolved ? round(late / resolved) : null,
+    missedRate: resolved ? round(missed / resolved) : null
+  };
+};
+
+// How a reminder due in the window turned out, or null if it is still open
+const outcomeOf = (reminder, now) => {
+  const due = new Date(reminder.dueDate).getTime();
+  if (reminder.status === 'completed') {
+    const completed = reminder.completedAt ? new Date(reminder.completedAt).getTime() : due;
+    return completed <= due + ON_TIME_GRACE_MS ? 'onTime' : 'late';
+  }
+  if (reminder.status === 'overdue' && due + ON_TIME_GRACE_MS < now) {
+    return 'missed';
+  }
+  return null;
+};
+
+// Summarise items (by createdAt) and reminders (by dueDate) in a resolved window
+export function computeStats({ items, reminders, window, now = new Date() }) {
+  const { from, to, bucket, timezone } = window;
+
+  // Every period in the window, so quiet periods show up as zeros
+  const trends = new Map();
+  const addPeriod = (date) => {
+    const period = periodOf(localDateKey(date, timezone), bucket);
+    if (!trends.has(period)) {
+      trends.set(period, {
+        period,
+        start: startOfLocalDate(period, timezone).toISOString(),
+        items: 0,
+        volumeLitres: 0,
+        categories: emptyCategories(() => 0),
+        onTime: 0,
+        late: 0,
+        missed: 0
+      });
+    }
+  };
+  const end = new Date(to).getTime();
+  for (let time = new Date(from).getTime(); time < end; time += DAY_MS) {
+    addPeriod(new Date(time));
+  }
+  addPeriod(new Date(end - 1));
+  const trendFor = (date) => trends.get(periodOf(localDateKey(date, timezone), bucket));
+
+  const categories = emptyCategories(() => ({ items: 0, volumeLitres: 0 }));
+  const totals = { items: 0, volumeLitres: 0 };
+  for (const item of items) {
+    if (item.deletedAt || !item.createdAt || item.createdAt < from || item.createdAt >= to || !categories[item.category]) {
+      continue;
+    }
+    const volume = estimateVolume(item);
+    totals.items++;
+    totals.volumeLitres += volume;
+    categories[item.category].items++;
+    categories[item.category].volumeLitres += volume;
+    const trend = trendFor(item.createdAt);
+    if (trend) {
+      trend.items++;
+      trend.volumeLitres += volume;
+      trend.categories[item.category]++;
+    }
+  }
+
+  const disposal = { onTime: 0, late: 0, missed: 0, open: 0 };
+  for (const reminder of reminders) {
+    if (reminder.deletedAt || !reminder.dueDate || reminder.dueDate < from || reminder.dueDate >= to) {
+      continue;
+    }
+    const outcome = outcomeOf(reminder, now.getTime());
+    if (!outcome) {
+      disposal.open++;
+      continue;
+    }
+    disposal[outcome]++;
+    const trend = trendFor(reminder.dueDate);
+    if (trend) {
+      trend[outcome]++;
+    }
+  }
+
+  totals.volumeLitres = round(totals.volumeLitres);
+  for (const category of Object.values(categories)) {
+    category.volumeLitres = round(category.volumeLitres);
+    category.share = totals.items ? round(category.items / totals.items) : 0;
+  }
+
+  return {
+    window,
+    totals,
+    categories,
+    disposal: { ...disposal, ...rates(disposal) },
+    trends: [...trends.values()].map(trend => ({ ...trend, volumeLitres: round(trend.volumeLitres) }))
+  };
+}
+
+// Create the stats service on top of the store's items and reminders repositories
+export function createStats(store) {
+  return {
+    // Stats for one user in a window from resolveStatsWindow
+    async forUser(userId, window) {
+      const [items, reminders] = await Promise.all([
+        store.items.listFieldsByUser(userId, ITEM_FIELDS),
+        store.reminders.listFieldsByUser(userId, REMINDER_FIELDS)
+      ]);
+      return computeStats({ items, reminders, window });
+    }
+  };
+}
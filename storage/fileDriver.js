@@ -0,0 +1,199 @@
+// Local file storage driver
+// Keeps every collection in memory and persists the whole dataset to a single JSON
+// file after each write, so the server can run fully offline and survive restarts.
+// Query and write semantics follow the Firestore driver so the two are interchangeable.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const generateId = () => crypto.randomBytes(15).toString('base64url');
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Firestore's set({ merge: true }) merges nested maps instead of replacing them
+const deepMerge = (target, source) => {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+};
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Like Firestore, a filter or ordering on a field excludes documents without that field
+const matchesFilter = (doc, [field, op, value]) => {
+  const actual = doc[field];
+  if (actual === undefined) {
+    return false;
+  }
+  switch (op) {
+    case '==': return actual === value;
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    case '>': return actual > value;
+    case '>=': return actual >= value;
+    case 'in': return value.includes(actual);
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+export function createFileDriver(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let data = {};
+
+  if (fs.existsSync(resolvedPath)) {
+    data = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } else {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  // Write to a temp file and rename so a crash never leaves a half-written dataset
+  const persist = () => {
+    const tempPath = `${resolvedPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, resolvedPath);
+  };
+
+  const collectionOf = (collection) => {
+    if (!data[collection]) {
+      data[collection] = {};
+    }
+    return data[collection];
+  };
+
+  const read = {
+    async get(collection, id) {
+      const doc = data[collection]?.[id];
+      return doc ? { id, ...clone(doc) } : null;
+    },
+
+    async query(collection, filters = [], options = {}) {
+      let docs = Object.entries(data[collection] || {})
+        .map(([id, doc]) => ({ id, ...doc }))
+        .filter(doc => filters.every(filter => matchesFilter(doc, filter)));
+
+      if (options.orderBy) {
+        const field = options.orderBy;
+        const direction = options.direction === 'desc' ? -1 : 1;
+        // Ties are ordered by id, as Firestore does
+        const order = (a, b) => direction * (compare(a[field], b[field]) || compare(a.id, b.id));
+        docs = docs
+          .filter(doc => doc[field] !== undefined)
+          .sort(order);
+        if (options.startAfter) {
+          const [value, id] = options.startAfter;
+          docs = docs.filter(doc => order(doc, { [field]: value, id }) > 0);
+        }
+      }
+      if (options.limit) {
+        docs = docs.slice(0, options.limit);
+      }
+      if (options.select) {
+        docs = docs.map(doc => Object.fromEntries(
+          ['id', ...options.select].filter(field => doc[field] !== undefined).map(field => [field, doc[field]])
+        ));
+      }
+      return clone(docs);
+    }
+  };
+
+  // Apply a single write to the in-memory dataset (without persisting)
+  const apply = ({ type, collection, id, data: value, merge }) => {
+    const docs = collectionOf(collection);
+    if (type === 'delete') {
+      delete docs[id];
+    } else if (type === 'update') {
+      if (!docs[id]) {
+        throw new Error(`No document to update: ${collection}/${id}`);
+      }
+      docs[id] = { ...docs[id], ...clone(value) };
+    } else if (type === 'set' && merge && docs[id]) {
+      docs[id] = deepMerge(docs[id], clone(value));
+    } else {
+      docs[id] = clone(value);
+    }
+  };
+
+  const write = (operation) => {
+    apply(operation);
+    persist();
+  };
+
+  // Transactions are serialized through this promise chain
+  let transactionQueue = Promise.resolve();
+
+  return {
+    name: 'file',
+    path: resolvedPath,
+    ...read,
+
+    async create(collection, value) {
+      const id = generateId();
+      write({ type: 'set', collection, id, data: value });
+      return { id, ...clone(value) };
+    },
+
+    async set(collection, id, value, { merge = false } = {}) {
+      write({ type: 'set', collection, id, data: value, merge });
+    },
+
+    async update(collection, id, patch) {
+      write({ type: 'update', collection, id, data: patch });
+    },
+
+    async delete(collection, id) {
+      write({ type: 'delete', collection, id });
+    },
+
+    async batchWrite(writes) {
+      writes.forEach(apply);
+      persist();
+    },
+
+    // Reads see committed data; writes are staged and applied together when fn resolves
+    async transaction(fn) {
+      const run = async () => {
+        const staged = [];
+        const executor = {
+          ...read,
+          async create(collection, value) {
+            const id = generateId();
+            staged.push({ type: 'set', collection, id, data: value });
+            return { id, ...clone(value) };
+          },
+          async set(collection, id, value, { merge = false } = {}) {
+            staged.push({ type: 'set', collection, id, data: value, merge });
+          },
+          async update(collection, id, patch) {
+            staged.push({ type: 'update', collection, id, data: patch });
+          },
+          async delete(collection, id) {
+            staged.push({ type: 'delete', collection, id });
+          }
+        };
+
+        const result = await fn(executor);
+        if (staged.length > 0) {
+          const snapshot = clone(data);
+          try {
+            staged.forEach(apply);
+            persist();
+          } catch (error) {
+            data = snapshot;
+            throw error;
+          }
+        }
+        return result;
+      };
+
+      const result = transactionQueue.then(run);
+      transactionQueue = result.catch(() => {});
+      return result;
+    }
+  };
+}
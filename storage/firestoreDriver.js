@@ -0,0 +1,118 @@
+// Firestore storage driver
+// Implements the document operations used by the repositories in ./index.js on top of
+// a firebase-admin Firestore instance. Collection paths may address subcollections,
+// e.g. "fcm_tokens/{userId}/tokens".
+import { FieldPath } from 'firebase-admin/firestore';
+
+// Firestore limits a batch or transaction to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+const toDoc = (snapshot) => (snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null);
+
+const buildQuery = (db, collection, filters = [], options = {}) => {
+  let query = db.collection(collection);
+  for (const [field, op, value] of filters) {
+    query = query.where(field, op, value);
+  }
+  if (options.orderBy) {
+    query = query.orderBy(options.orderBy, options.direction || 'asc');
+  }
+  if (options.startAfter) {
+    // Paging cursor [orderBy value, document id]; ordering by id as well keeps documents
+    // with equal values from being skipped between pages
+    query = query
+      .orderBy(FieldPath.documentId(), options.direction || 'asc')
+      .startAfter(...options.startAfter);
+  }
+  if (options.limit) {
+    query = query.limit(options.limit);
+  }
+  if (options.select) {
+    query = query.select(...options.select);
+  }
+  return query;
+};
+
+// Operations that run inside a Firestore transaction. As with Firestore itself,
+// all reads must happen before the first write.
+const createTransactionExecutor = (db, transaction) => ({
+  async get(collection, id) {
+    return toDoc(await transaction.get(db.collection(collection).doc(id)));
+  },
+  async query(collection, filters, options) {
+    const snapshot = await transaction.get(buildQuery(db, collection, filters, options));
+    return snapshot.docs.map(toDoc);
+  },
+  async create(collection, data) {
+    const ref = db.collection(collection).doc();
+    transaction.set(ref, data);
+    return { id: ref.id, ...data };
+  },
+  async set(collection, id, data, { merge = false } = {}) {
+    transaction.set(db.collection(collection).doc(id), data, { merge });
+  },
+  async update(collection, id, patch) {
+    transaction.update(db.collection(collection).doc(id), patch);
+  },
+  async delete(collection, id) {
+    transaction.delete(db.collection(collection).doc(id));
+  }
+});
+
+export function createFirestoreDriver(db) {
+  return {
+    name: 'firestore',
+
+    async get(collection, id) {
+      return toDoc(await db.collection(collection).doc(id).get());
+    },
+
+    // filters: [[field, op, value]] with op one of ==, <, <=, >, >=, in
+    // options: { orderBy, direction, limit, select, startAfter } - select lists the
+    // fields to fetch; startAfter is the [orderBy value, id] of the previous page's last document
+    async query(collection, filters, options) {
+      const snapshot = await buildQuery(db, collection, filters, options).get();
+      return snapshot.docs.map(toDoc);
+    },
+
+    async create(collection, data) {
+      const ref = await db.collection(collection).add(data);
+      return { id: ref.id, ...data };
+    },
+
+    async set(collection, id, data, { merge = false } = {}) {
+      await db.collection(collection).doc(id).set(data, { merge });
+    },
+
+    async update(collection, id, patch) {
+      await db.collection(collection).doc(id).update(patch);
+    },
+
+    async delete(collection, id) {
+      await db.collection(collection).doc(id).delete();
+    },
+
+    // Apply many writes, chunked to stay within Firestore's batch limit.
+    // writes: [{ type: 'update' | 'set' | 'delete', collection, id, data }]
+    async batchWrite(writes) {
+      for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        for (const write of writes.slice(i, i + MAX_BATCH_WRITES)) {
+          const ref = db.collection(write.collection).doc(write.id);
+          if (write.type === 'delete') {
+            batch.delete(ref);
+          } else if (write.type === 'set') {
+            batch.set(ref, write.data);
+          } else {
+            batch.update(ref, write.data);
+          }
+        }
+        await batch.commit();
+      }
+    },
+
+    async transaction(fn) {
+      return db.runTransaction(transaction => fn(createTransactionExecutor(db, transaction)));
+    }
+  };
+}
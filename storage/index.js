@@ -0,0 +1,215 @@
+// Storage layer
+// Routes and the scheduler talk to these repositories instead of Firestore directly.
+// The same repositories run on either driver:
+//   - firestore: Firebase Firestore (production)
+//   - file:      a local JSON file (offline development, survives restarts)
+// Select with STORAGE_DRIVER; without it Firestore is used when available.
+import { createFirestoreDriver } from './firestoreDriver.js';
+import { createFileDriver } from './fileDriver.js';
+
+const DEFAULT_DATA_FILE = './data/cleansort-data.json';
+
+// A page of reminders in due order and the cursor for the next one (null after the last)
+const toDuePage = (reminders, limit) => {
+  const last = reminders[reminders.length - 1];
+  return { reminders, cursor: reminders.length === limit ? [last.dueDate, last.id] : null };
+};
+
+// Build the repositories on top of a driver or a transaction executor.
+// Both expose get/query/create/set/update/delete, so the repositories behave
+// identically inside and outside store.transaction().
+const createRepositories = (executor) => ({
+  items: {
+    get: (id) => executor.get('items', id),
+    async listByUser(userId, { includeDeleted = false } = {}) {
+      const items = await executor.query('items', [['userId', '==', userId]]);
+      return includeDeleted ? items : items.filter(item => !item.deletedAt);
+    },
+    listDeletedBefore: (cutoff) => executor.query('items', [['deletedAt', '<=', cutoff]]),
+    // Only the given fields of every item the user has, deleted ones included
+    listFieldsByUser: (userId, fields) => executor.query('items', [['userId', '==', userId]], { select: fields }),
+    create: (data) => executor.create('items', data),
+    update: (id, patch) => executor.update('items', id, patch),
+    delete: (id) => executor.delete('items', id)
+  },
+
+  reminders: {
+    get: (id) => executor.get('reminders', id),
+    async listByUser(userId, { includeDeleted = false } = {}) {
+      const reminders = await executor.query('reminders', [['userId', '==', userId]]);
+      return includeDeleted ? reminders : reminders.filter(reminder => !reminder.deletedAt);
+    },
+    listByItem: (itemId) => executor.query('reminders', [['itemId', '==', itemId]]),
+    // One page of reminders in the given statuses due by dueDate, in due order. Pass the
+    // returned cursor as startAfter for the next page; it is null after the last one.
+    // Needs the status + dueDate composite index in firestore.indexes.json.
+    async listDuePage(dueDate, { statuses, limit, startAfter = null }) {
+      const reminders = await executor.query('reminders', [['status', 'in', statuses], ['dueDate', '<=', dueDate]], {
+        orderBy: 'dueDate',
+        limit,
+        startAfter
+      });
+      return toDuePage(reminders, limit);
+    },
+    // Like listDuePage for reminders that may still need a push (notifyPending), with
+    // only their userId and dueDate. Needs the notifyPending + dueDate composite index.
+    async listNotifyPendingPage(dueDate, { limit, startAfter = null }) {
+      const reminders = await executor.query('reminders', [['notifyPending', '==', true], ['dueDate', '<=', dueDate]], {
+        orderBy: 'dueDate',
+        limit,
+        startAfter,
+        select: ['userId', 'dueDate']
+      });
+      return toDuePage(reminders, limit);
+    },
+    // Every reminder of the user that may still need a push (equality filters only, so
+    // Firestore needs no composite index)
+    listNotifyPendingByUser: (userId) => executor.query('reminders', [['userId', '==', userId], ['notifyPending', '==', true]]),
+    listFieldsByUser: (userId, fields) => executor.query('reminders', [['userId', '==', userId]], { select: fields }),
+    // Only the given fields of every reminder, for maintenance scans
+    listAllFields: (fields) => executor.query('reminders', [], { select: fields }),
+    create: (data) => executor.create('reminders', data),
+    update: (id, patch) => executor.update('reminders', id, patch),
+    delete: (id) => executor.delete('reminders', id)
+  },
+
+  settings: {
+    get: (userId) => executor.get('user_settings', userId),
+    set: (userId, data) => executor.set('user_settings', userId, data, { merge: true }),
+    // Shared settings document used before settings became per-user
+    getLegacy: () => executor.get('settings', 'user'),
+    // Record which user took over the shared settings so nobody else inherits them
+    markLegacyMigrated: (data) => executor.set('settings', 'user', data, { merge: true })
+  },
+
+  // Push delivery log and the user's notification history
+  notifications: {
+    get: (id) => executor.get('notifications', id),
+    listByUser: (userId) => executor.query('notifications', [['userId', '==', userId]]),
+    listRetryDue: (now) => executor.query('notifications', [['nextAttemptAt', '<=', now]]),
+    listCreatedBefore: (cutoff) => executor.query('notifications', [['createdAt', '<=', cutoff]]),
+    create: (data) => executor.create('notifications', data),
+    update: (id, patch) => executor.update('notifications', id, patch)
+  },
+
+  // Scheduler leases, one per job, naming the instance allowed to run it
+  schedulerLeases: {
+    get: (name) => executor.get('scheduler_leases', name),
+    set: (name, data) => executor.set('scheduler_leases', name, data, { merge: true })
+  },
+
+  // Per-user scheduler bookkeeping, e.g. when the last digest went out
+  notificationState: {
+    get: (userId) => executor.get('notification_state', userId),
+    set: (userId, data) => executor.set('notification_state', userId, data, { merge: true })
+  },
+
+  tokens: {
+    listByUser: (userId) => executor.query(`fcm_tokens/${userId}/tokens`),
+    async findByToken(userId, token) {
+      const [existing] = await executor.query(`fcm_tokens/${userId}/tokens`, [['token', '==', token]]);
+      return existing || null;
+    },
+    create: (userId, data) => executor.create(`fcm_tokens/${userId}/tokens`, data),
+    update: (userId, tokenId, patch) => executor.update(`fcm_tokens/${userId}/tokens`, tokenId, patch),
+    delete: (userId, tokenId) => executor.delete(`fcm_tokens/${userId}/tokens`, tokenId)
+  },
+
+  // City waste rules saved through the admin API
+  cities: {
+    get: (id) => executor.get('cities', id),
+    list: () => executor.query('cities'),
+    set: (id, data) => executor.set('cities', id, data)
+  },
+
+  // Scanned receipts and their extracted items
+  receipts: {
+    get: (id) => executor.get('receipts', id),
+    listByUser: (userId) => executor.query('receipts', [['userId', '==', userId]]),
+    // Scans of the same upload, by any user
+    listByCacheKey: (cacheKey) => executor.query('receipts', [['cacheKey', '==', cacheKey]]),
+    create: (data) => executor.create('receipts', data),
+    update: (id, patch) => executor.update('receipts', id, patch)
+  },
+
+  // Optional receipt thumbnails, kept apart so receipt listings stay small
+  receiptThumbnails: {
+    get: (receiptId) => executor.get('receipt_thumbnails', receiptId),
+    set: (receiptId, data) => executor.set('receipt_thumbnails', receiptId, data)
+  },
+
+  // Category/interval rules learned from a user's corrections
+  corrections: {
+    get: (id) => executor.get('corrections', id),
+    listByUser: (userId) => executor.query('corrections', [['userId', '==', userId]]),
+    set: (id, data) => executor.set('corrections', id, data, { merge: true }),
+    delete: (id) => executor.delete('corrections', id)
+  },
+
+  // Corrections from all users, with one vote per user
+  globalCorrections: {
+    get: (id) => executor.get('global_corrections', id),
+    list: () => executor.query('global_corrections'),
+    set: (id, data) => executor.set('global_corrections', id, data, { merge: true }),
+    delete: (id) => executor.delete('global_corrections', id)
+  },
+
+  // Calendar feed tokens, keyed by a hash of the token
+  calendarFeeds: {
+    get: (id) => executor.get('calendar_feeds', id),
+    listByUser: (userId) => executor.query('calendar_feeds', [['userId', '==', userId]])
+  },
+
+  // Data migrations applied to this store, keyed by zero-padded version
+  migrations: {
+    list: () => executor.query('schema_migrations'),
+    set: (version, data) => executor.set('schema_migrations', version, data)
+  },
+
+  // Receipt scan counters per user and per hashed IP, for rate limits and daily quotas
+  scanUsage: {
+    get: (key) => executor.get('scan_usage', key),
+    set: (key, data) => executor.set('scan_usage', key, data),
+    listUpdatedBefore: (cutoff) => executor.query('scan_usage', [['updatedAt', '<=', cutoff]])
+  },
+
+  // Receipt extraction results keyed by content hash
+  ocrCache: {
+    get: (key) => executor.get('ocr_cache', key),
+    set: (key, entry) => executor.set('ocr_cache', key, entry),
+    // Entry ids and timestamps only, without the stored results
+    listExpired: (now) => executor.query('ocr_cache', [['expiresAt', '<=', now]], { select: ['expiresAt'] }),
+    listNewestFirst: () => executor.query('ocr_cache', [], { orderBy: 'createdAt', direction: 'desc', select: ['createdAt'] }),
+    delete: (key) => executor.delete('ocr_cache', key)
+  }
+});
+
+// Create the store for the configured driver.
+// config: { driver: 'firestore' | 'file', db: Firestore instance, dataFile: path }
+export function createStore({ driver, db, dataFile } = {}) {
+  const driverName = driver || (db ? 'firestore' : 'file');
+
+  let storageDriver;
+  if (driverName === 'firestore') {
+    if (!db) {
+      throw new Error('STORAGE_DRIVER=firestore but Firestore is not available');
+    }
+    storageDriver = createFirestoreDriver(db);
+  } else if (driverName === 'file') {
+    storageDriver = createFileDriver(dataFile || DEFAULT_DATA_FILE);
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driverName} (expected "firestore" or "file")`);
+  }
+
+  return {
+    driver: storageDriver.name,
+    location: storageDriver.path,
+    ...createRepositories(storageDriver),
+
+    // Run fn with repositories bound to a transaction. Reads must come before writes.
+    transaction: (fn) => storageDriver.transaction(executor => fn(createRepositories(executor))),
+
+    // Apply many writes at once: [{ type: 'update' | 'set' | 'delete', collection, id, data }]
+    batchWrite: (writes) => storageDriver.batchWrite(writes)
+  };
+}